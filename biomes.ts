@@ -0,0 +1,76 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Discrete biome classification, for when a continuous color isn't
+ * enough (e.g. game logic needs to know which regions are forest).
+ */
+
+/* Biome ids are indices into this array; the colors are used for the
+ * biome render mode and its legend */
+export const BIOMES: {name: string; color: [number, number, number]}[] = [
+    {name: 'ocean',      color: [ 48,  80, 140]},
+    {name: 'marsh',      color: [ 80, 130, 110]},
+    {name: 'desert',     color: [222, 200, 150]},
+    {name: 'shrubland',  color: [170, 170, 120]},
+    {name: 'grassland',  color: [150, 190,  90]},
+    {name: 'forest',     color: [ 70, 140,  70]},
+    {name: 'rainforest', color: [ 30, 110,  60]},
+    {name: 'taiga',      color: [ 90, 130, 100]},
+    {name: 'tundra',     color: [170, 180, 160]},
+    {name: 'bare',       color: [140, 130, 120]},
+    {name: 'snow',       color: [245, 245, 250]},
+];
+
+export const OCEAN = 0;
+
+/**
+ * Whittaker-style table. Each row is for temperatures (°C) up to the
+ * given threshold, and each column is for rainfall up to the given
+ * threshold; the last row and column have no upper limit. The cells
+ * are biome names from BIOMES.
+ */
+export type BiomeTable = {
+    temperature: number[];
+    rainfall: number[];
+    biomes: string[][];
+};
+
+export const defaultBiomeTable: BiomeTable = {
+    temperature: [-5, 2, 8, 16],
+    rainfall: [0.45, 0.7, 0.85],
+    biomes: [
+        ['bare',      'tundra',    'snow',       'snow'],
+        ['tundra',    'tundra',    'taiga',      'taiga'],
+        ['shrubland', 'grassland', 'taiga',      'forest'],
+        ['shrubland', 'grassland', 'forest',     'forest'],
+        ['desert',    'grassland', 'rainforest', 'marsh'],
+    ],
+};
+
+
+/**
+ * Convert a table with biome names into a lookup function from
+ * temperature and rainfall to biome id
+ */
+export function makeBiomeLookup(table: BiomeTable): (temperature: number, rainfall: number) => number {
+    const {temperature, rainfall} = table;
+    if (table.biomes.length !== temperature.length + 1) throw "biome table needs one more row than temperature thresholds";
+    const ids = table.biomes.map(row => {
+        if (row.length !== rainfall.length + 1) throw "biome table needs one more column than rainfall thresholds";
+        return row.map(name => {
+            let id = BIOMES.findIndex(biome => biome.name === name);
+            if (id < 0) throw `unknown biome ${name}`;
+            return id;
+        });
+    });
+
+    function band(thresholds: number[], value: number): number {
+        let i = 0;
+        while (i < thresholds.length && value >= thresholds[i]) { i++; }
+        return i;
+    }
+
+    return (t, m) => ids[band(temperature, t)][band(rainfall, m)];
+}
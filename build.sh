@@ -2,5 +2,8 @@
 mkdir -p build
 esbuild --bundle generate-points-file.ts --platform=node --format=esm --external:fs --outfile=build/_generate-points-file.js
 node build/_generate-points-file.js
+esbuild --bundle generate-map-file.ts --platform=node --format=esm --external:fs --outfile=build/_generate-map-file.js
+esbuild --bundle check-golden.ts --platform=node --format=esm --external:fs --outfile=build/_check-golden.js
 esbuild --analyze --bundle mapgen4.ts --minify --sourcemap --outfile=build/_bundle.js
 esbuild --bundle worker.ts  --sourcemap --minify --outfile=build/_worker.js
+esbuild --bundle mesh-worker.ts --sourcemap --minify --outfile=build/_mesh-worker.js
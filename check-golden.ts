@@ -0,0 +1,190 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Regression test for the map generator: generate maps with fixed
+ * seeds and parameters, check them with validateMap, and compare a
+ * hash of their elevation, rainfall, and flow to the hashes saved in
+ * golden.json. A change to map.ts that changes the output will fail
+ * this, so run it before and after a change that shouldn't.
+ *
+ * Usage: node build/_check-golden.js [--update]
+ *
+ * With --update, the hashes are written to golden.json instead, for
+ * changes that are supposed to change the output. The hashes come
+ * from the exact float32 bits, so they can differ between JavaScript
+ * engines if their Math.sin, Math.pow, etc. round differently.
+ *
+ * It also checks that painting, which updates the map in part, ends
+ * up with the same map as generating it from scratch, and that the
+ * hills alone don't make lakes.
+ */
+
+import * as fs from 'fs';
+import {defaultParam} from "./params.ts";
+import {generateMap} from "./generate-map.ts";
+import {validateMap} from "./validate-map.ts";
+import {CANVAS_SIZE, Generator, currentStroke} from "./heightmap.ts";
+import {orderStages, dependentStages, runStages, type StageContext} from "./stages.ts";
+
+const GOLDEN_FILE = "golden.json";
+
+const HASHED_ARRAYS = ['elevation_r', 'rainfall_r', 'flow_s'];
+
+/* Each case is a seed and overrides for defaultParam() */
+const CASES: {name: string; seed: number; overrides: any}[] = [
+    {name: "default", seed: 187, overrides: {}},
+    {name: "island", seed: 2, overrides: {elevation: {island: 0.8, noisy_coastlines: 0.02}}},
+    {name: "lakes", seed: 77, overrides: {rivers: {lakes: 1, lake_evaporation: 8}}},
+    {name: "erosion", seed: 1234, overrides: {erosion: {iterations: 5}}},
+    {name: "wrap", seed: 42, overrides: {wrap: true, width: 2000, height: 1000, mesh: {seed: 7}}},
+];
+
+/* FNV-1a of the bytes of a typed array, as 8 hex digits */
+function hashArray(array: ArrayBufferView): string {
+    let bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/* Brush strokes for checkPainting, as x, y (0 to 1) and the target
+ * elevation, with the medium brush */
+const STROKES = [
+    {x: 0.45, y: 0.50, elevation: +1.0},
+    {x: 0.52, y: 0.47, elevation: -0.25},
+    {x: 0.30, y: 0.62, elevation: +0.05},
+];
+
+/**
+ * Paint the default map the way the worker updates it while
+ * painting, with partial elevation and rivers, and then catch up the
+ * rivers the way the worker does when painting pauses. The result
+ * has to be the same as a map generated from the final constraints.
+ * Returns the number of failures.
+ */
+function checkPainting(): number {
+    let param = defaultParam({});
+    let generator = new Generator(param.width / param.height, param.wrap);
+    generator.setElevationParam(param.elevation);
+    let constraints = {size: CANVAS_SIZE, constraints: generator.elevation};
+    let map = generateMap(param, constraints);
+
+    let context: StageContext = {constraints, dirty: null, t_changed: new Set(), partialRivers: false, path: []};
+    let paths = [];
+    for (let {x, y, elevation} of STROKES) {
+        currentStroke.previousElevation.set(generator.elevation);
+        currentStroke.time.fill(0);
+        currentStroke.strength.fill(0);
+        context.dirty = generator.paintAt({mode: 'target', elevation}, x, y, {innerRadius: 5, outerRadius: 10, rate: 5}, 100);
+        context.path = [];
+        runStages(map, param, context);
+        paths.push(context.path.join(", "));
+    }
+    const riverStageNames = dependentStages('rivers');
+    context.t_changed = null;
+    runStages(map, param, context, orderStages().filter(stage => riverStageNames.has(stage.name)));
+
+    let failures = 0;
+    if (!paths.every(path => path === "partial elevation, partial rivers")) {
+        console.error("FAIL", "painting", "expected partial updates, got", paths);
+        failures++;
+    }
+    let expected = generateMap(param, {size: CANVAS_SIZE, constraints: generator.elevation.slice()});
+    for (let arrayName of [...HASHED_ARRAYS, 's_downslope_t']) {
+        let hash = hashArray(map[arrayName]);
+        if (hash === hashArray(expected[arrayName])) {
+            console.log("OK  ", "painting", arrayName, hash);
+        } else {
+            console.error("FAIL", "painting", arrayName, hash, "expected", hashArray(expected[arrayName]));
+            failures++;
+        }
+    }
+    return failures;
+}
+
+/* A few lakes can be where the hills happen to line up */
+const MAX_HILL_LAKES = 2;
+
+/**
+ * Make an island of flat land, so that its only relief is from the
+ * hills, and check that their depressions don't become a scatter of
+ * small lakes, which with high evaporation would also be closed
+ * lakes that the rivers end in. Returns the number of failures.
+ */
+function checkHillLakes(): number {
+    let failures = 0;
+    for (let seed of [1, 187]) {
+        let param = defaultParam({rivers: {lakes: 1, lake_evaporation: 8}});
+        param.elevation.seed = seed;
+        let constraints = new Float32Array(CANVAS_SIZE * CANVAS_SIZE);
+        for (let y = 0; y < CANVAS_SIZE; y++) {
+            for (let x = 0; x < CANVAS_SIZE; x++) {
+                let land = Math.min(x, y, CANVAS_SIZE-1 - x, CANVAS_SIZE-1 - y) >= 8;
+                constraints[y * CANVAS_SIZE + x] = land ? 0.05 : -0.5;
+            }
+        }
+        let map = generateMap(param, {size: CANVAS_SIZE, constraints});
+        for (let problem of validateMap(map, param.rivers)) {
+            console.error("FAIL", "hills", seed, problem);
+            failures++;
+        }
+        let numLakes = map.t_outlet_lake.length;
+        if (numLakes <= MAX_HILL_LAKES) {
+            console.log("OK  ", "hills", seed, numLakes, "lakes");
+        } else {
+            console.error("FAIL", "hills", seed, numLakes, "lakes", "expected at most", MAX_HILL_LAKES);
+            failures++;
+        }
+    }
+    return failures;
+}
+
+function main(args: string[]) {
+    let update = args[0] === '--update';
+    let golden = !update && fs.existsSync(GOLDEN_FILE) ? JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8')) : {};
+    let hashes = {};
+    let failures = 0;
+    for (let {name, seed, overrides} of CASES) {
+        let param = defaultParam(overrides);
+        param.elevation.seed = seed;
+        let map = generateMap(param);
+
+        for (let problem of validateMap(map, param.rivers)) {
+            console.error("FAIL", name, problem);
+            failures++;
+        }
+        hashes[name] = {};
+        for (let arrayName of HASHED_ARRAYS) {
+            let hash = hashArray(map[arrayName]);
+            hashes[name][arrayName] = hash;
+            if (update) continue;
+            let expected = golden[name]?.[arrayName];
+            if (hash === expected) {
+                console.log("OK  ", name, arrayName, hash);
+            } else {
+                console.error("FAIL", name, arrayName, hash, "expected", expected);
+                failures++;
+            }
+        }
+    }
+
+    if (!update) {
+        failures += checkPainting();
+        failures += checkHillLakes();
+    }
+
+    if (update) {
+        fs.writeFileSync(GOLDEN_FILE, JSON.stringify(hashes, null, 2) + "\n");
+        console.log(`wrote ${CASES.length} cases to ${GOLDEN_FILE}`);
+    }
+    if (failures > 0) {
+        console.error(`${failures} failures`);
+        process.exit(1);
+    }
+}
+
+main(process.argv.slice(2));
@@ -4,46 +4,123 @@
  * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
  */
 
+import {PALETTES} from "./palettes.ts";
+
+/* A color is "#rgb", "#rrggbb", or [r, g, b] with 0-255 components */
+export type Color = string | number[];
+
+/**
+ * A palette is gradient stops over elevation. Land stops (elevation
+ * 0:1) have a dry color and a wet color, and the moisture mixes
+ * between them; a stop can have one color for both. Ocean stops
+ * (elevation -1:0) have one color. The coast colors are the water
+ * just off the shore, nearest first. The render parameters, if any,
+ * are set along with the palette (see palettes.ts).
+ */
+export type Palette = {
+    name: string;
+    land: {elevation: number; color?: Color; dry?: Color; wet?: Color}[];
+    ocean: {elevation: number; color: Color}[];
+    coast: Color[];
+    river: Color;
+    render?: {[name: string]: number};
+};
+
+export function parseColor(color: Color): [number, number, number] {
+    if (typeof color === 'string') {
+        let hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+        if (!hex) throw `invalid color ${color}`;
+        if (hex.length === 3) { hex = hex.replace(/./g, "$&$&"); }
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i+2), 16)) as [number, number, number];
+    }
+    if (!Array.isArray(color) || color.length !== 3 || !color.every(c => typeof c === 'number' && c >= 0 && c <= 255)) {
+        throw `invalid color ${JSON.stringify(color)}`;
+    }
+    return [color[0], color[1], color[2]];
+}
+
+/**
+ * Check a palette that came from a json file, and fill in the dry
+ * and wet colors of land stops that only have one color. Throws if
+ * something's missing.
+ */
+export function parsePalette(json: any): Palette {
+    if (typeof json !== 'object' || json === null) throw "palette isn't an object";
+    for (let key of ['land', 'ocean', 'coast']) {
+        if (!Array.isArray(json[key])) throw `palette needs a ${key} array`;
+    }
+    if (json.land.length === 0 || json.ocean.length === 0) throw "palette needs land and ocean stops";
+    function checkStops(stops: {elevation: number}[], low: number, high: number) {
+        for (let i = 0; i < stops.length; i++) {
+            let e = stops[i].elevation;
+            if (typeof e !== 'number' || e < low || e > high) throw `palette stop elevation ${e} isn't in ${low}:${high}`;
+            if (i > 0 && e < stops[i-1].elevation) throw "palette stops must be in order of elevation";
+        }
+    }
+    checkStops(json.land, 0, 1);
+    checkStops(json.ocean, -1, 0);
+    let palette: Palette = {
+        name: typeof json.name === 'string' ? json.name : "custom",
+        land: json.land.map((stop: any) => ({
+            elevation: stop.elevation,
+            dry: parseColor(stop.dry ?? stop.color),
+            wet: parseColor(stop.wet ?? stop.color),
+        })),
+        ocean: json.ocean.map((stop: any) => ({elevation: stop.elevation, color: parseColor(stop.color)})),
+        coast: json.coast.map(parseColor),
+        river: parseColor(json.river),
+    };
+    if (json.render !== undefined) {
+        if (typeof json.render !== 'object' || !Object.values(json.render).every(value => typeof value === 'number')) {
+            throw "palette render parameters must be numbers";
+        }
+        palette.render = {...json.render};
+    }
+    return palette;
+}
+
+/* Color of the gradient at elevation e; the stops are in order */
+function gradient(stops: {elevation: number}[], e: number, color: (i: number) => number[], /* out */ out: number[]) {
+    let i = 0;
+    while (i < stops.length-1 && stops[i+1].elevation <= e) { i++; }
+    let j = Math.min(i+1, stops.length-1);
+    let span = stops[j].elevation - stops[i].elevation;
+    let f = span > 0 ? Math.max(0, Math.min(1, (e - stops[i].elevation) / span)) : 0;
+    let c1 = color(i), c2 = color(j);
+    for (let k = 0; k < 3; k++) { out[k] = c1[k] + f * (c2[k] - c1[k]); }
+}
+
 /* Generate the biome colormap indexed by elevation -1:+1 and rainfall 0:1 */
-const width = 64;
-const height = 64;
-function colormap() {
+export const width = 64;
+export const height = 64;
+export function colormap(palette: Palette): Uint8Array {
+    palette = parsePalette(palette);
     const pixels = new Uint8Array(width * height * 4);
+    const land = palette.land as {elevation: number; dry: number[]; wet: number[]}[];
+    const ocean = palette.ocean as {elevation: number; color: number[]}[];
+    let dry = [0, 0, 0], wet = [0, 0, 0];
 
     for (var y = 0, p = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             let e = 2 * x / width - 1,
                 m = y / height;
-            
+
             let r, g, b;
 
-            if (x === width/2 - 1) {
-                r = 48;
-                g = 120;
-                b = 160;
-            } else
-            if (x === width/2 - 2) {
-                r = 48;
-                g = 100;
-                b = 150;
-            } else if (x === width/2 - 3) {
-                r = 48;
-                g = 80;
-                b = 140;
-            } else
-            if (e < 0.0) {
-                r = 48 + 48*e;
-                g = 64 + 64*e;
-                b = 127 + 127*e;
-            } else { // adapted from terrain-from-noise article
-                m = m * (1-e); // higher elevation holds less moisture; TODO: should be based on slope, not elevation
-                
-                r = 210 - 100*m;
-                g = 185 - 45*m;
-                b = 139 - 45*m;
-                r = 255 * e + r * (1-e),
-                g = 255 * e + g * (1-e),
-                b = 255 * e + b * (1-e);
+            let coast = width/2 - 1 - x;
+            if (0 <= coast && coast < palette.coast.length) {
+                [r, g, b] = palette.coast[coast] as number[];
+            } else if (e < 0.0) {
+                gradient(ocean, e, i => ocean[i].color, dry);
+                [r, g, b] = dry;
+            } else {
+                // NOTE: snow isn't in the colormap; the drape shader
+                // adds it based on temperature
+                gradient(land, e, i => land[i].dry, dry);
+                gradient(land, e, i => land[i].wet, wet);
+                r = dry[0] + m * (wet[0] - dry[0]);
+                g = dry[1] + m * (wet[1] - dry[1]);
+                b = dry[2] + m * (wet[2] - dry[2]);
             }
 
             pixels[p++] = r;
@@ -55,4 +132,4 @@ function colormap() {
     return pixels;
 }
 
-export default {width, height, data: colormap()};
+export default {width, height, data: colormap(PALETTES[0])};
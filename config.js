@@ -9,17 +9,38 @@
  */
 
 export default {
+    width: 1000,
+    height: 1000,
+    wrap: false,
     spacing: 5.5,
     mountainSpacing: 35,
     mesh: {
         seed: 12345,
     },
+    names: {
+        // model: {type: 'markov', examples: [...]}, see names.ts
+    },
+    // palette: {name: ..., land: [...], ...}, see palettes.ts; the
+    // default is the classic palette
+    palette: null,
     elevation: {
     },
+    wind: {
+    },
+    rainfall: {
+    },
+    erosion: {
+    },
     biomes: {
     },
+    climate: {
+    },
     rivers: {
     },
+    settlements: {
+    },
+    territories: {
+    },
     render: {
     },
 };
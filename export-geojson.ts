@@ -0,0 +1,336 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Export the map as GeoJSON vectors: coastlines, rivers, lakes,
+ * merged region polygons, territories, settlements, and roads. This
+ * only uses the Map data, so it can run in the worker or headless.
+ */
+
+import Map from "./map.ts";
+import {minRiverFlow, riverWidth, wrapDx} from "./geometry.ts";
+import {BIOMES, OCEAN} from "./biomes.ts";
+import type {Mesh} from "./types.d.ts";
+
+type Position = [number, number];
+type Transform = (x: number, y: number) => Position;
+
+/* Map coordinates have y going down; GIS tools expect y going up */
+const flipY = (height: number): Transform => (x, y) => [x, height - y];
+
+/* On a map that wraps east-west, move the points of a line by the map
+ * width where needed so that it continues across the seam instead of
+ * jumping to the other side of the map. A ring that goes all the way
+ * around the world (e.g. a coastline near a pole) still has a jump. */
+function unwrapLine(mesh: Mesh, line: Position[]): Position[] {
+    if (!mesh.wrap) return line;
+    for (let i = 1; i < line.length; i++) {
+        line[i] = [line[i-1][0] + wrapDx(mesh, line[i][0] - line[i-1][0]), line[i][1]];
+    }
+    return line;
+}
+
+
+/**
+ * Trace the boundaries around all the regions with class_r[r] === c.
+ * The boundaries are Voronoi edges, which go from t_inner_s(s) to
+ * t_outer_s(s) for sides s that start in the class and end outside
+ * it. Each triangle has at most one such side for a given class, so
+ * following them forms closed rings of triangles.
+ */
+export function traceBoundaries(mesh: Mesh, class_r: ArrayLike<number>, c: number): number[][] {
+    let s_boundary_t = new Int32Array(mesh.numTriangles).fill(-1);
+    for (let s = 0; s < mesh.numSides; s++) {
+        if (class_r[mesh.r_begin_s(s)] === c && class_r[mesh.r_end_s(s)] !== c) {
+            s_boundary_t[mesh.t_inner_s(s)] = s;
+        }
+    }
+
+    let rings: number[][] = [];
+    for (let t_start = 0; t_start < mesh.numTriangles; t_start++) {
+        if (s_boundary_t[t_start] < 0) continue;
+        let ring = [];
+        let t = t_start;
+        while (s_boundary_t[t] >= 0) {
+            let s = s_boundary_t[t];
+            s_boundary_t[t] = -1;
+            ring.push(t);
+            t = mesh.t_outer_s(s);
+        }
+        rings.push(ring);
+    }
+    return rings;
+}
+
+
+/**
+ * Trace the boundaries around all the triangles with class_t[t] === c.
+ * The boundaries are Delaunay edges, from r_begin_s(s) to r_end_s(s)
+ * for sides s inside the class with t_outer_s(s) outside it. Where
+ * the class touches itself at a single region there's more than one
+ * way to continue, so keep a list of the sides leaving each region.
+ */
+export function traceTriangleBoundaries(mesh: Mesh, class_t: ArrayLike<number>, c: number): Position[][] {
+    let s_boundary_r: {[r: number]: number[]} = {};
+    for (let s = 0; s < mesh.numSides; s++) {
+        if (class_t[mesh.t_inner_s(s)] === c && class_t[mesh.t_outer_s(s)] !== c) {
+            (s_boundary_r[mesh.r_begin_s(s)] ??= []).push(s);
+        }
+    }
+
+    let rings: Position[][] = [];
+    for (let key of Object.keys(s_boundary_r)) {
+        let r_start = Number(key);
+        while (s_boundary_r[r_start].length > 0) {
+            // Triangle sides go around the opposite way from the
+            // Voronoi edges in traceBoundaries(), so reverse the ring
+            let ring: Position[] = [];
+            let r = r_start;
+            while (s_boundary_r[r]?.length > 0) {
+                let s = s_boundary_r[r].pop();
+                ring.push([mesh.x_of_r(r), mesh.y_of_r(r)]);
+                r = mesh.r_end_s(s);
+            }
+            if (ring.length >= 3) rings.push(unwrapLine(mesh, ring.reverse()));
+        }
+    }
+    return rings;
+}
+
+
+function signedArea(ring: Position[]): number {
+    let area = 0;
+    for (let i = 0, j = ring.length-1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+function pointInRing([x, y]: Position, ring: Position[]): boolean {
+    let inside = false;
+    for (let i = 0, j = ring.length-1; i < ring.length; j = i++) {
+        let [xi, yi] = ring[i], [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Turn the boundary rings of a class into GeoJSON MultiPolygon
+ * coordinates. In map coordinates the traced rings around a class
+ * have positive signedArea() and holes in the class have negative.
+ * GeoJSON wants outer rings counterclockwise and holes clockwise,
+ * which is negative and positive signedArea() with y going up.
+ */
+export function boundariesToMultiPolygon(mesh: Mesh, rings: number[][], transform: Transform = flipY(mesh.height)): Position[][][] {
+    return ringsToMultiPolygon(
+        rings.filter(triangles => triangles.length >= 3)
+             .map(triangles => unwrapLine(mesh, triangles.map(t => [mesh.x_of_t(t), mesh.y_of_t(t)] as Position))),
+        transform);
+}
+
+function ringsToMultiPolygon(rings: Position[][], transform: Transform): Position[][][] {
+    let outers: {ring: Position[], area: number, holes: Position[][]}[] = [];
+    let holes: Position[][] = [];
+    for (let ring of rings) {
+        ring = [...ring, ring[0]];
+        let area = signedArea(ring);
+        ring = ring.map(([x, y]) => transform(x, y));
+        let isOuter = area > 0;
+        if (isOuter === signedArea(ring) > 0) ring.reverse();
+        if (isOuter) {
+            outers.push({ring, area, holes: []});
+        } else {
+            holes.push(ring);
+        }
+    }
+
+    // Each hole belongs to the smallest outer ring that contains it
+    outers.sort((a, b) => a.area - b.area);
+    for (let hole of holes) {
+        let outer = outers.find(outer => pointInRing(hole[0], outer.ring));
+        if (outer) outer.holes.push(hole);
+    }
+    return outers.map(({ring, holes}) => [ring, ...holes]);
+}
+
+
+/**
+ * Rivers are drawn through the midpoints of the sides they flow
+ * across (see setRiverGeometry). Break the river network into line
+ * strings that end at confluences and river mouths.
+ */
+function riverFeatures(map: Map, riversParam: any, transform: Transform) {
+    const MIN_FLOW = minRiverFlow(riversParam);
+    const {mesh, s_downslope_t, flow_s, elevation_t, lake_t} = map;
+    const {numSolidTriangles} = mesh;
+
+    function isRiver(t: number): boolean {
+        let s = s_downslope_t[t];
+        return t < numSolidTriangles && s >= 0 && flow_s[s] >= MIN_FLOW && elevation_t[t] >= 0.0 && lake_t[t] < 0;
+    }
+
+    let inflows_t = new Int8Array(mesh.numTriangles);
+    for (let t = 0; t < numSolidTriangles; t++) {
+        if (isRiver(t)) inflows_t[mesh.t_outer_s(s_downslope_t[t])]++;
+    }
+
+    function midpoint(s: number): Position {
+        let r1 = mesh.r_begin_s(s), r2 = mesh.r_end_s(s);
+        let x1 = mesh.x_of_r(r1), x2 = mesh.x_of_r(r2);
+        if (mesh.wrap) { x2 = x1 + wrapDx(mesh, x2 - x1); }
+        return [0.5 * (x1 + x2), 0.5 * (mesh.y_of_r(r1) + mesh.y_of_r(r2))];
+    }
+
+    let features = [];
+    for (let t_start = 0; t_start < numSolidTriangles; t_start++) {
+        // Each line string starts at a source or a confluence
+        if (!isRiver(t_start) || inflows_t[t_start] === 1) continue;
+        let line: Position[] = [[mesh.x_of_t(t_start), mesh.y_of_t(t_start)]];
+        let t = t_start, s = -1;
+        do {
+            s = s_downslope_t[t];
+            line.push(midpoint(s));
+            t = mesh.t_outer_s(s);
+        } while (isRiver(t) && inflows_t[t] === 1);
+        if (isRiver(t)) {
+            // Confluence, so connect to the start of the next line string
+            line.push([mesh.x_of_t(t), mesh.y_of_t(t)]);
+        }
+        let coordinates = unwrapLine(mesh, line).map(([x, y]) => transform(x, y));
+        let flow = flow_s[s];
+        features.push({
+            type: "Feature",
+            geometry: {type: "LineString", coordinates},
+            properties: {
+                kind: "river",
+                flow,
+                width: riverWidth(flow, map.spacing, riversParam),
+            },
+        });
+    }
+    return features;
+}
+
+
+function coastlineFeature(map: Map, land_r: Int8Array, transform: Transform) {
+    const {mesh} = map;
+    let coordinates = traceBoundaries(mesh, land_r, 1).map(ring => {
+        let line = unwrapLine(mesh, ring.map(t => [mesh.x_of_t(t), mesh.y_of_t(t)] as Position));
+        line.push(line[0]);
+        return line.map(([x, y]) => transform(x, y));
+    });
+    return {
+        type: "Feature",
+        geometry: {type: "MultiLineString", coordinates},
+        properties: {kind: "coastline"},
+    };
+}
+
+
+function polygonFeatures(map: Map, class_r: ArrayLike<number>, classes: {[c: number]: any}, transform: Transform) {
+    const {mesh} = map;
+    let features = [];
+    for (let c of Object.keys(classes)) {
+        let rings = traceBoundaries(mesh, class_r, Number(c));
+        let coordinates = boundariesToMultiPolygon(mesh, rings, transform);
+        if (coordinates.length === 0) continue;
+        features.push({
+            type: "Feature",
+            geometry: {type: "MultiPolygon", coordinates},
+            properties: classes[c],
+        });
+    }
+    return features;
+}
+
+
+function lakeFeatures(map: Map, transform: Transform) {
+    const {mesh, lake_t, t_outlet_lake, elevation_lake} = map;
+    let features = [];
+    for (let lake = 0; lake < elevation_lake.length; lake++) {
+        let coordinates = ringsToMultiPolygon(traceTriangleBoundaries(mesh, lake_t, lake), transform);
+        if (coordinates.length === 0) continue;
+        features.push({
+            type: "Feature",
+            geometry: {type: "MultiPolygon", coordinates},
+            properties: {
+                kind: "lake",
+                lake,
+                elevation: elevation_lake[lake],
+                closed: t_outlet_lake[lake] < 0,
+            },
+        });
+    }
+    return features;
+}
+
+
+function settlementFeatures(map: Map, transform: Transform) {
+    const {mesh, r_settlements, roads, score_r} = map;
+    let features = [];
+    r_settlements.forEach((r, rank) => {
+        features.push({
+            type: "Feature",
+            geometry: {type: "Point", coordinates: transform(mesh.x_of_r(r), mesh.y_of_r(r))},
+            properties: {kind: "settlement", rank, score: score_r[r]},
+        });
+    });
+    for (let path of roads) {
+        let line = unwrapLine(mesh, path.map(r => [mesh.x_of_r(r), mesh.y_of_r(r)] as Position));
+        features.push({
+            type: "Feature",
+            geometry: {type: "LineString", coordinates: line.map(([x, y]) => transform(x, y))},
+            properties: {kind: "road", from: r_settlements.indexOf(path[0]), to: r_settlements.indexOf(path[path.length-1])},
+        });
+    }
+    return features;
+}
+
+
+/**
+ * Build a GeoJSON FeatureCollection from the map. By default the
+ * coordinates are map coordinates (0 to width, 0 to height) with y
+ * flipped so that north is up; pass a transform to use other
+ * coordinates.
+ */
+export function toGeoJSON(map: Map, riversParam: any, transform: Transform = flipY(map.mesh.height)) {
+    const {mesh, elevation_r, biome_r, territory_r, r_capitals, r_settlements} = map;
+
+    // The ghost region doesn't belong to any class
+    let land_r = new Int8Array(mesh.numRegions);
+    let class_biome_r = new Int8Array(mesh.numRegions);
+    for (let r = 0; r < mesh.numSolidRegions; r++) {
+        land_r[r] = elevation_r[r] < 0.0 ? 0 : 1;
+        class_biome_r[r] = biome_r[r];
+    }
+    land_r[mesh.r_ghost()] = -1;
+    class_biome_r[mesh.r_ghost()] = -1;
+
+    // The capital is -1 if it isn't one of the settlements
+    let territoryClasses = {};
+    r_capitals.forEach((r, territory) => {
+        territoryClasses[territory] = {kind: "territory", territory, capital: r_settlements.indexOf(r)};
+    });
+
+    let biomeClasses = {};
+    BIOMES.forEach((biome, id) => {
+        if (id !== OCEAN) biomeClasses[id] = {kind: "biome", biome: biome.name};
+    });
+
+    return {
+        type: "FeatureCollection",
+        features: [
+            ...polygonFeatures(map, land_r, {0: {kind: "water"}, 1: {kind: "land"}}, transform),
+            ...polygonFeatures(map, class_biome_r, biomeClasses, transform),
+            ...polygonFeatures(map, territory_r, territoryClasses, transform),
+            ...lakeFeatures(map, transform),
+            coastlineFeature(map, land_r, transform),
+            ...riverFeatures(map, riversParam, transform),
+            ...settlementFeatures(map, transform),
+        ],
+    };
+}
@@ -0,0 +1,349 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Export the terrain as a 3d mesh for game engines (glTF binary or
+ * OBJ) or 3d printers (STL). The surface is the same one the renderer
+ * draws: the region and triangle vertices from setMeshGeometry, folded
+ * into valleys and ridges with the mountain folds by setMapGeometry.
+ * The rivers are a separate ribbon mesh following the curves that
+ * the river shader draws. This only uses the Map data, so it can run
+ * in the worker or headless.
+ */
+
+import Map from "./map.ts";
+import Geometry, {numRenderVertices, clamp} from "./geometry.ts";
+import PointLocation from "./point-location.ts";
+import {colormap, width as colormapWidth, height as colormapHeight, parseColor} from "./colormap.ts";
+import {PALETTES} from "./palettes.ts";
+import type {Mesh} from "./types.d.ts";
+
+export type MeshFormat = 'glb' | 'obj' | 'stl';
+
+export type MeshOptions = {
+    vertical_scale: number; /* height of elevation 1, in map units, like render.mountain_height */
+    colors: boolean;        /* vertex colors from the palette (glb, obj) */
+    rivers: boolean;        /* a river and lake mesh just above the terrain (glb, obj) */
+    base: number;           /* depth below sea level of a solid base with skirts, 0 for none */
+};
+
+/**
+ * The positions are in map coordinates, x, y, and z going up. The
+ * triangles are counterclockwise as seen from above on the screen
+ * (y going down), which is what each file format wants after its
+ * axes are swapped around.
+ */
+type TriangleList = {
+    xyz: number[];
+    rgb: number[] | null;
+    triangles: number[];
+};
+
+/* The rivers are lifted this fraction of the vertical scale so that
+ * they don't disappear into the terrain between vertices */
+const RIVER_LIFT = 0.005;
+/* Steps along each river curve */
+const RIVER_STEPS = 6;
+
+
+function isClockwise(xyz: number[], a: number, b: number, c: number): boolean {
+    let dx1 = xyz[3*b] - xyz[3*a], dy1 = xyz[3*b+1] - xyz[3*a+1],
+        dx2 = xyz[3*c] - xyz[3*a], dy2 = xyz[3*c+1] - xyz[3*a+1];
+    return dx1 * dy2 - dy1 * dx2 > 0;
+}
+
+function addTriangle(mesh: TriangleList, a: number, b: number, c: number) {
+    if (isClockwise(mesh.xyz, a, b, c)) mesh.triangles.push(a, c, b);
+    else mesh.triangles.push(a, b, c);
+}
+
+
+/**
+ * The terrain surface. Like vert_drape, the oceans are flat at sea
+ * level, and the exterior boundary points are pulled in to the edge
+ * of the map (except east-west on a map that wraps).
+ */
+function terrainMesh(map: Map, param: any, options: MeshOptions): TriangleList {
+    const mesh = map.mesh as Mesh;
+    const numVertices = numRenderVertices(mesh);
+    let P = new Float32Array(2 * numVertices),
+        em = new Float32Array(2 * numVertices),
+        I = new Int32Array(3 * mesh.numSolidSides);
+    Geometry.setMeshGeometry(mesh, P);
+    Geometry.setMapGeometry(map, param.elevation.mountain_folds, I, em);
+    const pixels = options.colors ? colormap(param.palette ?? PALETTES[0]) : null;
+
+    // Only the vertices used by the quadrilaterals are kept
+    let out: TriangleList = {xyz: [], rgb: pixels ? [] : null, triangles: []};
+    let index_v = new Int32Array(numVertices).fill(-1);
+    for (let v of I) {
+        if (index_v[v] >= 0) continue;
+        index_v[v] = out.xyz.length / 3;
+        let x = P[2*v], y = P[2*v+1], e = em[2*v];
+        let x_clamped = mesh.wrap ? x : clamp(x, 0, mesh.width),
+            y_clamped = clamp(y, 0, mesh.height);
+        let boundary = x_clamped !== x || y_clamped !== y;
+        out.xyz.push(x_clamped, y_clamped, boundary ? 0.0 : Math.max(0.0, e) * options.vertical_scale);
+        if (pixels) {
+            // The same lookup as the drape shader's u_colormap
+            let column = clamp(Math.floor(0.5 * (e + 1) * colormapWidth), 0, colormapWidth-1),
+                row = clamp(Math.floor(em[2*v+1] * colormapHeight), 0, colormapHeight-1);
+            let p = 4 * (row * colormapWidth + column);
+            out.rgb.push(pixels[p] / 255, pixels[p+1] / 255, pixels[p+2] / 255);
+        }
+    }
+    // All the triangles go the same way around, but a few near the
+    // edges may have flipped when they were pulled in, so they're
+    // turned around together to keep the sides matched up for addBase
+    let numClockwise = 0;
+    for (let i = 0; i < I.length; i += 3) {
+        let a = index_v[I[i]], b = index_v[I[i+1]], c = index_v[I[i+2]];
+        out.triangles.push(a, b, c);
+        if (isClockwise(out.xyz, a, b, c)) numClockwise++;
+    }
+    if (numClockwise > I.length / 6) {
+        for (let i = 0; i < out.triangles.length; i += 3) {
+            [out.triangles[i+1], out.triangles[i+2]] = [out.triangles[i+2], out.triangles[i+1]];
+        }
+    }
+    return out;
+}
+
+
+/**
+ * The river ribbons from setRiverGeometry. Each river triangle draws
+ * a band around the corner where its two sides with flow meet, from
+ * the middle of one side to the middle of the other (see frag_river),
+ * and the band is cut into quadrilaterals. Lake triangles, and rivers
+ * so wide that they cover the whole triangle, are the whole triangle.
+ * The heights come from the terrain.
+ */
+function riverMesh(map: Map, param: any, options: MeshOptions): TriangleList {
+    const mesh = map.mesh as Mesh;
+    let P = new Float32Array(1.5 * 3 * 4 * mesh.numSolidTriangles);
+    let numRiverTriangles = Geometry.setRiverGeometry(map, param.spacing, param.rivers, P);
+
+    let locator = new PointLocation(mesh);
+    let z_r = map.elevation_r.map(e => Math.max(0.0, e)),
+        z_t = map.elevation_t.map(e => Math.max(0.0, (1.0 - param.elevation.mountain_folds * Math.sqrt(Math.max(0, e))) * e));
+    let out: TriangleList = {xyz: [], rgb: options.colors ? [] : null, triangles: []};
+    const rgb = parseColor((param.palette ?? PALETTES[0]).river).map(c => c / 255);
+    function vertex(i: number, r: number, g: number, b: number): number {
+        let x = r * P[i] + g * P[i+4] + b * P[i+8],
+            y = r * P[i+1] + g * P[i+5] + b * P[i+9];
+        let z = (locator.interpolate(x, y, z_r, z_t) + RIVER_LIFT) * options.vertical_scale;
+        out.xyz.push(mesh.wrap ? x : clamp(x, 0, mesh.width), clamp(y, 0, mesh.height), z);
+        out.rgb?.push(...rgb);
+        return out.xyz.length / 3 - 1;
+    }
+
+    for (let i = 0; i < 12 * numRiverTriangles; i += 12) {
+        let width1 = 0.35 * P[i+2], width2 = 0.35 * P[i+3];
+        if (Math.min(width1, width2) >= 0.5) {
+            addTriangle(out, vertex(i, 1, 0, 0), vertex(i, 0, 1, 0), vertex(i, 0, 0, 1));
+            continue;
+        }
+        let inner: number[] = [], outer: number[] = [];
+        for (let step = 0; step <= RIVER_STEPS; step++) {
+            // xt goes from the b side to the r side, and the distance
+            // from the corner is sqrt(b² + r² + br), which is k * q
+            // below
+            let xt = step / RIVER_STEPS;
+            let width = width1 + (width2 - width1) * xt;
+            let q = Math.sqrt(1 - xt + xt * xt);
+            let k_inner = Math.max(0, 0.5 - width) / q,
+                k_outer = Math.min(1, (0.5 + width) / q);
+            inner.push(vertex(i, k_inner * xt, 1 - k_inner, k_inner * (1 - xt)));
+            outer.push(vertex(i, k_outer * xt, 1 - k_outer, k_outer * (1 - xt)));
+        }
+        for (let step = 0; step < RIVER_STEPS; step++) {
+            addTriangle(out, inner[step], outer[step], outer[step+1]);
+            addTriangle(out, inner[step], outer[step+1], inner[step+1]);
+        }
+    }
+    return out;
+}
+
+
+/**
+ * Make the surface into a solid for printing: a copy of the surface
+ * flattened at the base, facing down, and walls down from the edges
+ * of the surface to the base. The edges are the sides that only one
+ * triangle uses; the walls go the other way around them so that every
+ * side is shared by two triangles going opposite ways.
+ */
+function addBase(surface: TriangleList, depth: number): TriangleList {
+    const {xyz, triangles} = surface;
+    const numVertices = xyz.length / 3;
+    let out: TriangleList = {xyz: [...xyz], rgb: surface.rgb && [...surface.rgb, ...surface.rgb], triangles: [...triangles]};
+    for (let v = 0; v < numVertices; v++) {
+        out.xyz.push(xyz[3*v], xyz[3*v+1], -depth);
+    }
+    for (let i = 0; i < triangles.length; i += 3) {
+        out.triangles.push(numVertices + triangles[i], numVertices + triangles[i+2], numVertices + triangles[i+1]);
+    }
+
+    let sides = new Set<number>();
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let j = 0; j < 3; j++) {
+            sides.add(triangles[i+j] * numVertices + triangles[i + (j+1) % 3]);
+        }
+    }
+    for (let side of sides) {
+        let a = Math.floor(side / numVertices), b = side % numVertices;
+        if (sides.has(b * numVertices + a)) continue;
+        out.triangles.push(b, a, numVertices + a);
+        out.triangles.push(b, numVertices + a, numVertices + b);
+    }
+    return out;
+}
+
+
+/* glTF and OBJ have y going up, so the map's y becomes z */
+function toYUp(xyz: number[]): Float32Array {
+    let out = new Float32Array(xyz.length);
+    for (let i = 0; i < xyz.length; i += 3) {
+        out[i] = xyz[i]; out[i+1] = xyz[i+2]; out[i+2] = xyz[i+1];
+    }
+    return out;
+}
+
+function toOBJ(parts: {name: string; mesh: TriangleList}[]): string {
+    let lines = ["# mapgen4 terrain, y up"];
+    let offset = 1;
+    for (let {name, mesh} of parts) {
+        lines.push(`o ${name}`);
+        let xyz = toYUp(mesh.xyz);
+        for (let v = 0; v < xyz.length / 3; v++) {
+            let position = [xyz[3*v], xyz[3*v+1], xyz[3*v+2]].map(c => +c.toFixed(3));
+            let color = mesh.rgb ? [mesh.rgb[3*v], mesh.rgb[3*v+1], mesh.rgb[3*v+2]].map(c => +c.toFixed(3)) : [];
+            lines.push(`v ${[...position, ...color].join(' ')}`);
+        }
+        for (let i = 0; i < mesh.triangles.length; i += 3) {
+            lines.push(`f ${mesh.triangles[i] + offset} ${mesh.triangles[i+1] + offset} ${mesh.triangles[i+2] + offset}`);
+        }
+        offset += xyz.length / 3;
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * A glTF binary file with one node per part. The vertex colors are
+ * multiplied by the material color, so the terrain's material is
+ * white when it has vertex colors.
+ */
+function toGLB(parts: {name: string; mesh: TriangleList; color: number[]}[]): Uint8Array {
+    const FLOAT = 5126, UNSIGNED_INT = 5125, ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+    let arrays: ArrayBufferView[] = [], byteLength = 0;
+    let gltf: any = {
+        asset: {version: "2.0", generator: "mapgen4"},
+        scene: 0,
+        scenes: [{nodes: parts.map((_, i) => i)}],
+        nodes: [], meshes: [], materials: [], accessors: [], bufferViews: [],
+        buffers: [],
+    };
+    function addAccessor(array: Float32Array | Uint32Array, type: string, target: number, extra: any = {}): number {
+        gltf.bufferViews.push({buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target});
+        gltf.accessors.push({
+            bufferView: gltf.bufferViews.length - 1,
+            componentType: array instanceof Float32Array ? FLOAT : UNSIGNED_INT,
+            count: array.length / (type === 'VEC3' ? 3 : 1),
+            type,
+            ...extra,
+        });
+        arrays.push(array);
+        byteLength += array.byteLength; // always a multiple of 4
+        return gltf.accessors.length - 1;
+    }
+
+    for (let {name, mesh, color} of parts) {
+        let xyz = toYUp(mesh.xyz);
+        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < xyz.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], xyz[i]);
+            max[i % 3] = Math.max(max[i % 3], xyz[i]);
+        }
+        let attributes: any = {POSITION: addAccessor(xyz, 'VEC3', ARRAY_BUFFER, {min, max})};
+        if (mesh.rgb) { attributes.COLOR_0 = addAccessor(Float32Array.from(mesh.rgb), 'VEC3', ARRAY_BUFFER); }
+        let indices = addAccessor(Uint32Array.from(mesh.triangles), 'SCALAR', ELEMENT_ARRAY_BUFFER);
+        gltf.materials.push({
+            name,
+            pbrMetallicRoughness: {baseColorFactor: mesh.rgb ? [1, 1, 1, 1] : [...color, 1], metallicFactor: 0, roughnessFactor: 1},
+        });
+        gltf.meshes.push({name, primitives: [{attributes, indices, material: gltf.materials.length - 1}]});
+        gltf.nodes.push({name, mesh: gltf.meshes.length - 1});
+    }
+    gltf.buffers.push({byteLength});
+
+    let json = new TextEncoder().encode(JSON.stringify(gltf));
+    let jsonLength = Math.ceil(json.length / 4) * 4;
+    let glb = new Uint8Array(12 + 8 + jsonLength + 8 + byteLength);
+    let view = new DataView(glb.buffer);
+    view.setUint32(0, 0x46546c67, true); // "glTF"
+    view.setUint32(4, 2, true);
+    view.setUint32(8, glb.length, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true); // "JSON"
+    glb.fill(0x20, 20, 20 + jsonLength); // padded with spaces
+    glb.set(json, 20);
+    let p = 20 + jsonLength;
+    view.setUint32(p, byteLength, true);
+    view.setUint32(p + 4, 0x004e4942, true); // "BIN"
+    p += 8;
+    for (let array of arrays) {
+        glb.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), p);
+        p += array.byteLength;
+    }
+    return glb;
+}
+
+/* Binary STL, with z going up and y going north */
+function toSTL(mesh: TriangleList, height: number): Uint8Array {
+    const {xyz, triangles} = mesh;
+    const numTriangles = triangles.length / 3;
+    let stl = new Uint8Array(80 + 4 + 50 * numTriangles);
+    let view = new DataView(stl.buffer);
+    stl.set(new TextEncoder().encode("mapgen4 terrain"), 0);
+    view.setUint32(80, numTriangles, true);
+    let p = 84;
+    let corners = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let j = 0; j < 3; j++) {
+            let v = triangles[i+j];
+            corners[j][0] = xyz[3*v]; corners[j][1] = height - xyz[3*v+1]; corners[j][2] = xyz[3*v+2];
+        }
+        let [a, b, c] = corners;
+        let ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2],
+            vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+        let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+        let length = Math.hypot(nx, ny, nz) || 1;
+        for (let value of [nx / length, ny / length, nz / length, ...a, ...b, ...c]) {
+            view.setFloat32(p, value, true);
+            p += 4;
+        }
+        p += 2; // attribute byte count
+    }
+    return stl;
+}
+
+
+/**
+ * Export the terrain, and for glb and obj, the rivers. STL has no
+ * colors and is meant for printing, so it's only the terrain, with
+ * the base if options.base > 0.
+ */
+export function exportMesh(map: Map, param: any, format: MeshFormat, options: MeshOptions): Uint8Array | string {
+    let terrain = terrainMesh(map, param, options);
+    if (options.base > 0) { terrain = addBase(terrain, options.base); }
+    if (format === 'stl') return toSTL(terrain, map.mesh.height);
+
+    let parts = [{name: "terrain", mesh: terrain, color: [1, 1, 1]}];
+    if (options.rivers) {
+        let color = parseColor((param.palette ?? PALETTES[0]).river).map(c => c / 255);
+        parts.push({name: "rivers", mesh: riverMesh(map, param, options), color});
+    }
+    if (format === 'obj') return toOBJ(parts);
+    if (format === 'glb') return toGLB(parts);
+    throw `unknown mesh format ${format}`;
+}
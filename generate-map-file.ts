@@ -0,0 +1,97 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Generate a map without a browser and save its arrays to disk.
+ *
+ * Usage: node build/_generate-map-file.js seed [param.json] [outdir] [rastersize [png|f32]]
+ *
+ * The optional parameter file has the same groups as params.ts, e.g.
+ * {"elevation": {"island": 0.8}, "rivers": {"flow": 0.5}}. Each array
+ * is written as raw little-endian binary to outdir/name.data, and
+ * outdir/map.json describes the types and lengths. The coastlines,
+ * rivers, lakes, and land/water/biome/territory polygons are written
+ * to outdir/map.geojson. With a raster size, the elevation, rainfall,
+ * and river layers are also written as images with the longer side
+ * being that many pixels, as 16-bit pngs or raw float32 (see raster.ts).
+ * An "export3d" object in the parameter file also writes the terrain
+ * as a 3d mesh, e.g. {"export3d": {"format": "stl", "base": 20}}; see
+ * MeshOptions in export-mesh.ts for the other options.
+ */
+
+import * as fs from 'fs';
+import {defaultParam} from "./params.ts";
+import {generateMap} from "./generate-map.ts";
+import {toGeoJSON} from "./export-geojson.ts";
+import {exportRaster, type RasterLayer} from "./raster.ts";
+import {exportMesh} from "./export-mesh.ts";
+
+const OUTPUT_ARRAYS = [
+    'elevation_t', 'elevation_r',
+    'humidity_r', 'rainfall_r', 'moisture_t', 'temperature_r', 'temperature_t', 'biome_r',
+    's_downslope_t', 't_order', 'flow_t', 'flow_s', 'lake_t',
+    'mountain_distance_t', 'territory_r',
+];
+
+function main(args: string[]) {
+    if (args.length < 1 || !/^[0-9]+$/.test(args[0])) {
+        console.error("Usage: node build/_generate-map-file.js seed [param.json] [outdir] [rastersize [png|f32]]");
+        process.exit(1);
+    }
+    let seed = parseInt(args[0]);
+    let overrides = args[1] ? JSON.parse(fs.readFileSync(args[1], 'utf8')) : {};
+    let outdir = args[2] || `build/map-${seed}`;
+    let rasterSize = args[3] ? parseInt(args[3]) : 0;
+    let rasterFormat = args[4] ?? 'png';
+    if (args[3] && !(rasterSize >= 1) || rasterFormat !== 'png' && rasterFormat !== 'f32') {
+        console.error("The raster size must be a number and the format png or f32");
+        process.exit(1);
+    }
+
+    let param = defaultParam(overrides);
+    param.elevation.seed = seed;
+    let map = generateMap(param);
+
+    fs.mkdirSync(outdir, {recursive: true});
+    let arrays = {};
+    for (let name of OUTPUT_ARRAYS) {
+        let array = map[name];
+        fs.writeFileSync(`${outdir}/${name}.data`, new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        arrays[name] = {type: array.constructor.name, length: array.length};
+    }
+    let {mesh} = map;
+    fs.writeFileSync(`${outdir}/map.json`, JSON.stringify({
+        param,
+        numRegions: mesh.numRegions,
+        numTriangles: mesh.numTriangles,
+        numSides: mesh.numSides,
+        arrays,
+        t_outlet_lake: map.t_outlet_lake,
+        elevation_lake: map.elevation_lake,
+        r_settlements: map.r_settlements,
+        r_capitals: map.r_capitals,
+    }, null, 2));
+    fs.writeFileSync(`${outdir}/map.geojson`, JSON.stringify(toGeoJSON(map, param.rivers)));
+    console.log(`wrote ${OUTPUT_ARRAYS.length} arrays and map.geojson to ${outdir}/`);
+
+    if (overrides.export3d) {
+        let {format = 'glb', ...options} = overrides.export3d;
+        let result = exportMesh(map, param, format, {
+            vertical_scale: param.render.mountain_height, colors: true, rivers: true, base: 0,
+            ...options,
+        });
+        fs.writeFileSync(`${outdir}/terrain.${format}`, result);
+        console.log(`wrote terrain.${format}`);
+    }
+
+    if (rasterSize > 0) {
+        for (let layer of ['elevation', 'rainfall', 'river'] as RasterLayer[]) {
+            let {width, height, data} = exportRaster(map, param, layer, rasterSize, rasterFormat as 'png' | 'f32');
+            fs.writeFileSync(`${outdir}/${layer}.${rasterFormat}`, data);
+            console.log(`wrote ${width}✕${height} ${layer}.${rasterFormat}`);
+        }
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,43 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Run the map generator without a browser. This runs the same stages
+ * (see stages.ts) that the worker runs, but without the rendering
+ * geometry.
+ */
+
+import Map from "./map.ts";
+import {makeMeshFromPoints} from "./mesh.ts";
+import {choosePoints} from "./generate-points.ts";
+import {fromPointsFile, toPointsFile} from "./serialize-points.ts";
+import {CANVAS_SIZE, Generator} from "./heightmap.ts";
+import {runStages, type Constraints} from "./stages.ts";
+
+export type {Constraints};
+
+/**
+ * Generate a map from a complete parameter object (see defaultParam()
+ * in params.ts). If there are no painted constraints, they're made
+ * from the elevation seed and island parameters, like the browser
+ * version does before the user paints anything.
+ */
+export function generateMap(param: any, constraints?: Constraints): Map {
+    // NOTE: the browser loads points from a file, which stores them
+    // with 16 bits of precision, so I round trip them through the
+    // file format to produce the same map as the browser
+    let pointsData = fromPointsFile(toPointsFile(
+        choosePoints(param.mesh.seed, param.spacing, param.mountainSpacing, param.width, param.height, param.wrap)));
+    let {mesh, t_peaks} = makeMeshFromPoints(pointsData);
+
+    if (!constraints) {
+        let generator = new Generator(param.width / param.height, param.wrap);
+        generator.setElevationParam(param.elevation);
+        constraints = {size: CANVAS_SIZE, constraints: generator.elevation};
+    }
+
+    let map = new Map(mesh, t_peaks, param);
+    runStages(map, param, {constraints, dirty: null, t_changed: null, partialRivers: false, path: []});
+    return map;
+}
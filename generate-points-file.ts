@@ -13,7 +13,7 @@ import {toPointsFile} from "./serialize-points.ts";
 
 function main() {
     let p = choosePoints(
-        param.mesh.seed, param.spacing, param.mountainSpacing);
+        param.mesh.seed, param.spacing, param.mountainSpacing, param.width, param.height, param.wrap);
     fs.writeFileSync(`build/points-${param.spacing}.data`, toPointsFile(p));
 }
 
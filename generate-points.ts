@@ -15,6 +15,9 @@ import {generateInteriorBoundaryPoints, generateExteriorBoundaryPoints} from "./
 
 export type Point = [number, number];
 export type PointsData = {
+    width: number;
+    height: number;
+    wrap: boolean;
     points: Point[];
     numExteriorBoundaryPoints: number;
     numInteriorBoundaryPoints: number;
@@ -34,15 +37,20 @@ export type PointsData = {
         |           |_____numInteriorBoundaryPoints interior boundary points
         |_________________numExteriorBoundaryPoints exterior boundary points
         
-
+   If wrap is true, the map wraps around east-west, so there are
+   boundary points only along the top and bottom.
  */
-export function choosePoints(seed: number, spacing: number, mountainSpacing: number): PointsData {
+export function choosePoints(seed: number, spacing: number, mountainSpacing: number, width: number, height: number, wrap: boolean = false): PointsData {
     // Generate both interior and exterior boundary points; see
     // https://www.redblobgames.com/x/2314-poisson-with-boundary/
     const boundarySpacing = spacing * Math.sqrt(2);
-    const bounds = {left: 0, top: 0, width: 1000, height: 1000}; // left,top must be 0 for poisson
-    let interiorBoundaryPoints = generateInteriorBoundaryPoints(bounds, boundarySpacing);
-    let exteriorBoundaryPoints = generateExteriorBoundaryPoints(bounds, boundarySpacing);
+    const bounds = {left: 0, top: 0, width, height}; // left,top must be 0 for poisson
+    let {interiorBoundaryPoints, exteriorBoundaryPoints} = wrap
+        ? generateWrappedBoundaryPoints(bounds, boundarySpacing)
+        : {
+            interiorBoundaryPoints: generateInteriorBoundaryPoints(bounds, boundarySpacing),
+            exteriorBoundaryPoints: generateExteriorBoundaryPoints(bounds, boundarySpacing),
+        };
     
     // Second, generate the mountain points, with the interior boundary points pushing mountains away
     let mountainPointsGenerator = new Poisson({
@@ -52,6 +60,7 @@ export function choosePoints(seed: number, spacing: number, mountainSpacing: num
     }, makeRandFloat(seed));
     for (let p of interiorBoundaryPoints) { if (!mountainPointsGenerator.addPoint(p)) throw "mtn point did not get added"; }
     let interiorPoints: Point[] = mountainPointsGenerator.fill(); // now contains both interior boundary points and mountain points
+    if (wrap) interiorPoints = removeSeamConflicts(interiorPoints, interiorBoundaryPoints.length, mountainSpacing, width);
     let numMountainPoints = interiorPoints.length - interiorBoundaryPoints.length;
     
     // Generate the rest of the mesh points with the interior boundary points and mountain points as constraints
@@ -61,12 +70,52 @@ export function choosePoints(seed: number, spacing: number, mountainSpacing: num
         tries: 6, // NOTE: below 5 is unstable, and 5 is borderline; defaults to 30, but lower is faster
     }, makeRandFloat(seed));
     for (let p of interiorPoints) { if (!generator.addPoint(p)) throw "point did not get added"; }
+    let numConstraintPoints = interiorPoints.length;
     interiorPoints = generator.fill(); // now contains interior boundary points, mountain points, and rest of points
+    if (wrap) interiorPoints = removeSeamConflicts(interiorPoints, numConstraintPoints, spacing, width);
     
     return {
+        width,
+        height,
+        wrap,
         points: exteriorBoundaryPoints.concat(interiorPoints),
         numExteriorBoundaryPoints: exteriorBoundaryPoints.length,
         numInteriorBoundaryPoints: interiorBoundaryPoints.length,
         numMountainPoints
     };
 }
+
+
+/**
+ * Boundary points for a map that wraps east-west: rows along the top
+ * and bottom, evenly spaced so that they also line up across the
+ * seam. Like the rectangular boundary points, the interior ones are
+ * just inside the map and the exterior ones are outside.
+ */
+function generateWrappedBoundaryPoints({width, height}, boundarySpacing: number) {
+    const epsilon = 1e-4;
+    const diagonal = boundarySpacing / Math.sqrt(2);
+    const W = Math.ceil(width / boundarySpacing);
+    let interiorBoundaryPoints: Point[] = [], exteriorBoundaryPoints: Point[] = [];
+    for (let q = 0; q < W; q++) {
+        let x = q / W * width;
+        interiorBoundaryPoints.push([x, epsilon], [x, height - epsilon]);
+        exteriorBoundaryPoints.push([x + width / W / 2, -diagonal], [x + width / W / 2, height + diagonal]);
+    }
+    return {interiorBoundaryPoints, exteriorBoundaryPoints};
+}
+
+
+/**
+ * Poisson disc sampling doesn't know that the map wraps around, so
+ * points near the east edge can be too close to points near the west
+ * edge. Remove the east ones that are, except for the first start
+ * points, which were already there before sampling.
+ */
+function removeSeamConflicts(points: Point[], start: number, spacing: number, width: number): Point[] {
+    const west = points.filter(([x, _]) => x < spacing);
+    return points.filter(([x, y], i) =>
+        i < start
+        || x < width - spacing
+        || !west.some(([xw, yw]) => (xw + width - x) ** 2 + (yw - y) ** 2 < spacing * spacing));
+}
@@ -7,12 +7,30 @@
 import Map from "./map.ts";
 import type {Mesh} from "./types.d.ts";
 
+/**
+ * The render vertices are the regions, then the triangles, then (on a
+ * map that wraps east-west) the copies of vertices across the seam.
+ */
+export function numRenderVertices(mesh: Mesh): number {
+    return mesh.numRegions + mesh.numTriangles + mesh.vertex_d.length;
+}
+
+/* The copies across the seam have the same attributes as their originals */
+function copySeamVertices(mesh: Mesh, A: Float32Array, stride: number, offset: number) {
+    let {vertex_d} = mesh;
+    for (let d = 0; d < vertex_d.length; d++) {
+        for (let i = 0; i < stride; i++) {
+            A[offset + stride * d + i] = A[stride * vertex_d[d] + i];
+        }
+    }
+}
+
 /**
  * Fill a buffer with data from the mesh.
  */
 function setMeshGeometry(mesh: Mesh, P: Float32Array) {
-    let {numRegions, numTriangles} = mesh;
-    if (P.length !== 2 * (numRegions + numTriangles)) { throw "wrong size"; }
+    let {numRegions, numTriangles, vertex_d, dx_d} = mesh;
+    if (P.length !== 2 * numRenderVertices(mesh)) { throw "wrong size"; }
 
     let p = 0;
     for (let r = 0; r < numRegions; r++) {
@@ -23,6 +41,10 @@ function setMeshGeometry(mesh: Mesh, P: Float32Array) {
         P[p++] = mesh.x_of_t(t);
         P[p++] = mesh.y_of_t(t);
     }
+    for (let d = 0; d < vertex_d.length; d++) {
+        P[p++] = P[2 * vertex_d[d]] + dx_d[d];
+        P[p++] = P[2 * vertex_d[d] + 1];
+    }
 };
 
 /**
@@ -30,10 +52,10 @@ function setMeshGeometry(mesh: Mesh, P: Float32Array) {
  */
 function setMapGeometry(map: Map, mountain_folds: number, I: Int32Array, P: Float32Array) {
     let {mesh, flow_s, elevation_r, elevation_t, rainfall_r} = map;
-    let {numSolidSides, numRegions, numTriangles, is_boundary_t} = mesh;
+    let {numSolidSides, numRegions, numTriangles, is_boundary_t, v_begin_s, v_outer_s} = mesh;
 
     if (I.length !== 3 * numSolidSides) { throw "wrong size"; }
-    if (P.length !== 2 * (numRegions + numTriangles)) { throw "wrong size"; }
+    if (P.length !== 2 * numRenderVertices(mesh)) { throw "wrong size"; }
 
     let p = 0;
     for (let r = 0; r < numRegions; r++) {
@@ -52,6 +74,8 @@ function setMapGeometry(map: Map, mountain_folds: number, I: Int32Array, P: Floa
             r3 = mesh.r_begin_s(s0+2);
         P[p++] = 1/3 * (rainfall_r[r1] + rainfall_r[r2] + rainfall_r[r3]);
     }
+    copySeamVertices(mesh, P, 2, p);
+    p += 2 * mesh.vertex_d.length;
 
     let i = 0;
     for (let s = 0; s < numSolidSides; s++) {
@@ -60,7 +84,12 @@ function setMapGeometry(map: Map, mountain_folds: number, I: Int32Array, P: Floa
             r2 = mesh.r_begin_s(s_opposite),
             t1 = mesh.t_inner_s(s),
             t2 = mesh.t_inner_s(s_opposite);
-        
+        // On a map that wraps, the vertices may be copies on the
+        // same side of the seam as t1
+        let v1 = v_begin_s ? v_begin_s[s] : r1,
+            v2 = v_begin_s ? v_begin_s[mesh.s_next_s(s)] : r2,
+            v_t2 = v_outer_s ? v_outer_s[s] : numRegions+t2;
+
         // Each quadrilateral is turned into two triangles, so each
         // half-edge gets turned into one. There are two ways to fold
         // a quadrilateral. This is usually a nuisance but in this
@@ -70,12 +99,14 @@ function setMapGeometry(map: Map, mountain_folds: number, I: Int32Array, P: Floa
         if (elevation_r[r1] < 0.0 || elevation_r[r2] < 0.0) is_valley = true;
         if (flow_s[s] > 0 || flow_s[s_opposite] > 0) is_valley = true;
         if (is_boundary_t[t1] || is_boundary_t[t2]) is_valley = false;
+        // NOTE: r1 goes last because the last vertex is the one
+        // WebGL uses for flat shaded attributes like the biome id
         if (is_valley) {
             // It's a coastal or river edge, forming a valley
-            I[i++] = r1; I[i++] = numRegions+t2; I[i++] = numRegions+t1;
+            I[i++] = v_t2; I[i++] = numRegions+t1; I[i++] = v1;
         } else {
             // It's a ridge
-            I[i++] = r1; I[i++] = r2; I[i++] = numRegions+t1;
+            I[i++] = v2; I[i++] = numRegions+t1; I[i++] = v1;
         }
     }
 
@@ -84,6 +115,50 @@ function setMapGeometry(map: Map, mountain_folds: number, I: Int32Array, P: Floa
 };
 
 
+/**
+ * Fill a buffer with the biome id of each region. The triangle
+ * vertices are unused because the biome is flat shaded.
+ */
+function setBiomeGeometry(map: Map, B: Float32Array) {
+    let {mesh, biome_r} = map;
+    let {numRegions, numTriangles} = mesh;
+    if (B.length !== numRenderVertices(mesh)) { throw "wrong size"; }
+    for (let r = 0; r < numRegions; r++) {
+        B[r] = biome_r[r];
+    }
+    copySeamVertices(mesh, B, 1, numRegions + numTriangles);
+}
+
+
+/**
+ * Fill a buffer with the territory of each region, or -1 for water.
+ * Like the biome, it's flat shaded.
+ */
+function setTerritoryGeometry(map: Map, T: Float32Array) {
+    let {mesh, territory_r} = map;
+    let {numRegions, numTriangles} = mesh;
+    if (T.length !== numRenderVertices(mesh)) { throw "wrong size"; }
+    for (let r = 0; r < numRegions; r++) {
+        T[r] = territory_r[r];
+    }
+    copySeamVertices(mesh, T, 1, numRegions + numTriangles);
+}
+
+
+/**
+ * Fill a buffer with the temperature at each region and triangle,
+ * used for drawing snow and glaciers.
+ */
+function setTemperatureGeometry(map: Map, T: Float32Array) {
+    let {mesh, temperature_r, temperature_t} = map;
+    let {numRegions, numTriangles} = mesh;
+    if (T.length !== numRenderVertices(mesh)) { throw "wrong size"; }
+    T.set(temperature_r, 0);
+    T.set(temperature_t, numRegions);
+    copySeamVertices(mesh, T, 1, numRegions + numTriangles);
+}
+
+
 export function clamp(x: number, lo: number, hi: number): number {
     if (x < lo) { x = lo; }
     if (x > hi) { x = hi; }
@@ -91,22 +166,66 @@ export function clamp(x: number, lo: number, hi: number): number {
 }
 
 /**
- * Fill a buffer with river geometry
+ * The x distance from one point to another. On a map that wraps
+ * east-west it's the shorter way around, so it's never more than half
+ * the map width.
+ */
+export function wrapDx(mesh: Mesh, dx: number): number {
+    if (mesh.wrap) {
+        if (dx > mesh.width/2) { dx -= mesh.width; }
+        if (dx < -mesh.width/2) { dx += mesh.width; }
+    }
+    return dx;
+}
+
+/**
+ * River width in map units for a given flow; rivers are only drawn
+ * where flow >= minRiverFlow
+ */
+export function minRiverFlow(riversParam: any): number {
+    return Math.exp(riversParam.lg_min_flow);
+}
+
+export function riverWidth(flow: number, spacing: number, riversParam: any): number {
+    return Math.sqrt(flow - minRiverFlow(riversParam)) * spacing * Math.exp(riversParam.lg_river_width);
+}
+
+/**
+ * Fill a buffer with river geometry. Lake triangles are drawn as
+ * rivers so wide that they cover the whole triangle, and the rivers
+ * flowing through a lake stop at its shore.
  */
 function setRiverGeometry(map: Map, spacing: number, riversParam: any, P: Float32Array): number {
-    const MIN_FLOW = Math.exp(riversParam.lg_min_flow);
-    const RIVER_WIDTH = Math.exp(riversParam.lg_river_width);
-    let {mesh, s_downslope_t, flow_s} = map;
+    const MIN_FLOW = minRiverFlow(riversParam);
+    const LAKE_WIDTH = 10;
+    let {mesh, s_downslope_t, flow_s, lake_t} = map;
     let {numSolidTriangles, length_s} = mesh;
 
     function riverSize(s: number, flow: number): number {
         if (s < 0) { return 1; }
-        let width = Math.sqrt(flow - MIN_FLOW) * spacing * RIVER_WIDTH;
-        return width / length_s[s];
+        return riverWidth(flow, spacing, riversParam) / length_s[s];
     }
 
     let p = 0;
     for (let t = 0; t < numSolidTriangles; t++) {
+        // On a map that wraps, keep the triangle's corners on the
+        // same side of the seam as the triangle
+        let x_t = mesh.x_of_t(t);
+        function x_near(r: number): number {
+            let x = mesh.x_of_r(r);
+            return mesh.wrap ? x_t + wrapDx(mesh, x - x_t) : x;
+        }
+
+        if (lake_t[t] >= 0) {
+            for (let i = 0; i < 3; i++) {
+                let r = mesh.r_begin_s(3*t + i);
+                P[p++] = x_near(r);
+                P[p++] = mesh.y_of_r(r);
+                P[p++] = LAKE_WIDTH;
+                P[p++] = LAKE_WIDTH;
+            }
+            continue;
+        }
         let s_out = s_downslope_t[t];
         let outflow = flow_s[s_out];
         if (s_out < 0 || outflow < MIN_FLOW) continue;
@@ -119,15 +238,15 @@ function setRiverGeometry(map: Map, spacing: number, riversParam: any, P: Float3
             let r1 = mesh.r_begin_s(s1),
                 r2 = mesh.r_begin_s(s2),
                 r3 = mesh.r_begin_s(s3);
-            P[p++] = mesh.x_of_r(r1);
+            P[p++] = x_near(r1);
             P[p++] = mesh.y_of_r(r1);
             P[p++] = width1;
             P[p++] = width2;
-            P[p++] = mesh.x_of_r(r2);
+            P[p++] = x_near(r2);
             P[p++] = mesh.y_of_r(r2);
             P[p++] = width1;
             P[p++] = width2;
-            P[p++] = mesh.x_of_r(r3);
+            P[p++] = x_near(r3);
             P[p++] = mesh.y_of_r(r3);
             P[p++] = width1;
             P[p++] = width2;
@@ -144,4 +263,104 @@ function setRiverGeometry(map: Map, spacing: number, riversParam: any, P: Float3
     return p / 12;
 };
 
-export default {setMeshGeometry, setMapGeometry, setRiverGeometry};
+
+/**
+ * Positions for the settlement and road overlay: x, y, and the
+ * elevation that the map is drawn at (see vert_drape), so that the
+ * overlay can be projected the same way as the map. On a map that
+ * wraps, each road is continuous across the seam.
+ */
+function getSettlementGeometry(map: Map): {settlement_xyz: Float32Array; road_xyz: Float32Array[]} {
+    let {mesh, elevation_r, r_settlements, roads} = map;
+    let settlement_xyz = new Float32Array(3 * r_settlements.length);
+    for (let i = 0; i < r_settlements.length; i++) {
+        let r = r_settlements[i];
+        settlement_xyz[3*i] = mesh.x_of_r(r);
+        settlement_xyz[3*i + 1] = mesh.y_of_r(r);
+        settlement_xyz[3*i + 2] = Math.max(0.0, elevation_r[r]);
+    }
+    let road_xyz = roads.map(path => {
+        let P = new Float32Array(3 * path.length);
+        let x = mesh.x_of_r(path[0]);
+        for (let i = 0; i < path.length; i++) {
+            let r = path[i];
+            x += wrapDx(mesh, mesh.x_of_r(r) - x);
+            P[3*i] = x;
+            P[3*i + 1] = mesh.y_of_r(r);
+            P[3*i + 2] = Math.max(0.0, elevation_r[r]);
+        }
+        return P;
+    });
+    return {settlement_xyz, road_xyz};
+}
+
+/**
+ * Positions for the borders between territories, as pairs of x, y, z
+ * points for the overlay to draw as separate segments. The borders
+ * are Voronoi edges, from t_inner_s(s) to t_outer_s(s). On a map that
+ * wraps, the second point of a segment is moved next to the first.
+ */
+function getBorderGeometry(map: Map): Float32Array {
+    let {mesh, elevation_t, territory_r} = map;
+    let xyz: number[] = [];
+    for (let s = 0; s < mesh.numSolidSides; s++) {
+        let territory1 = territory_r[mesh.r_begin_s(s)], territory2 = territory_r[mesh.r_end_s(s)];
+        if (territory1 < 0 || territory2 < 0 || territory1 >= territory2) continue;
+        let t1 = mesh.t_inner_s(s), t2 = mesh.t_outer_s(s);
+        let x1 = mesh.x_of_t(t1);
+        xyz.push(x1, mesh.y_of_t(t1), Math.max(0.0, elevation_t[t1]),
+                 x1 + wrapDx(mesh, mesh.x_of_t(t2) - x1), mesh.y_of_t(t2), Math.max(0.0, elevation_t[t2]));
+    }
+    return Float32Array.from(xyz);
+}
+
+/**
+ * Wind arrows for the overlay, about one per spacing✕spacing map
+ * units, at the region nearest the middle of each square. Each arrow
+ * is x, y, z of the region and the x, y of its wind vector.
+ */
+function getWindGeometry(map: Map, spacing: number): Float32Array {
+    let {mesh, elevation_r, wind_r} = map;
+    const columns = Math.max(1, Math.round(mesh.width / spacing)),
+          rows = Math.max(1, Math.round(mesh.height / spacing));
+    let r_arrow = new Int32Array(columns * rows).fill(-1);
+    let distance_arrow = new Float32Array(columns * rows).fill(Infinity);
+    for (let r = 0; r < mesh.numSolidRegions; r++) {
+        let column = clamp(Math.floor(mesh.x_of_r(r) / mesh.width * columns), 0, columns-1),
+            row = clamp(Math.floor(mesh.y_of_r(r) / mesh.height * rows), 0, rows-1);
+        let distance = Math.hypot(mesh.x_of_r(r) - (column + 0.5) * mesh.width / columns,
+                                  mesh.y_of_r(r) - (row + 0.5) * mesh.height / rows);
+        let i = row * columns + column;
+        if (distance < distance_arrow[i]) {
+            distance_arrow[i] = distance;
+            r_arrow[i] = r;
+        }
+    }
+    let xyzuv: number[] = [];
+    for (let r of r_arrow) {
+        if (r < 0) continue;
+        xyzuv.push(mesh.x_of_r(r), mesh.y_of_r(r), Math.max(0.0, elevation_r[r]), wind_r[2*r], wind_r[2*r + 1]);
+    }
+    return Float32Array.from(xyzuv);
+}
+
+/**
+ * Positions of the path that water takes downhill from triangle t,
+ * through the triangle centers, until it reaches the ocean or a sink.
+ * On a map that wraps, the path is continuous across the seam.
+ */
+function getDownstreamGeometry(map: Map, t: number): Float32Array {
+    let {mesh, elevation_t, s_downslope_t} = map;
+    let xyz: number[] = [];
+    let x = mesh.x_of_t(t);
+    for (let i = 0; t >= 0 && i < mesh.numSolidTriangles; i++) {
+        x += wrapDx(mesh, mesh.x_of_t(t) - x);
+        xyz.push(x, mesh.y_of_t(t), Math.max(0.0, elevation_t[t]));
+        if (elevation_t[t] < 0.0) break;
+        let s = s_downslope_t[t];
+        t = s >= 0 ? mesh.t_outer_s(s) : -1;
+    }
+    return Float32Array.from(xyz);
+}
+
+export default {setMeshGeometry, setMapGeometry, setBiomeGeometry, setTerritoryGeometry, setTemperatureGeometry, setRiverGeometry, getSettlementGeometry, getBorderGeometry, getWindGeometry, getDownstreamGeometry};
@@ -0,0 +1,387 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * This module generates the square array of elevations that the
+ * painting interface edits and the map generator uses as constraints.
+ * It doesn't touch the DOM, so it can also be used outside the browser.
+ *
+ * The array is square even when the map isn't; it's stretched to
+ * cover the map bounds. The generator knows the map's aspect ratio
+ * (width / height) so that its noise and brushes are round on the map
+ * instead of round in the array. On a map that wraps east-west, the
+ * array tiles horizontally, so the noise is periodic and the brushes
+ * wrap around.
+ *
+ * The painted wind layer is a smaller square array of wind vectors,
+ * stretched over the map the same way.
+ */
+
+import {createNoise2D, createNoise3D} from 'simplex-noise';
+import {makeRandFloat} from '@redblobgames/prng';
+import {clamp} from "./geometry.ts";
+
+export const CANVAS_SIZE = 128;
+
+/* A rectangle of canvas cells, with inclusive bounds */
+export type Rect = {left: number; top: number; right: number; bottom: number};
+
+/* The wind layer has an x, y vector in each cell; it's coarse because
+ * the wind changes slowly across the map */
+export const WIND_SIZE = 16;
+
+export const FULL_CANVAS: Rect = {left: 0, top: 0, right: CANVAS_SIZE-1, bottom: CANVAS_SIZE-1};
+
+/** Bounding box of two rectangles, either of which can be null */
+export function unionRect(a: Rect | null, b: Rect | null): Rect | null {
+    if (a === null) return b;
+    if (b === null) return a;
+    return {
+        left: Math.min(a.left, b.left),
+        top: Math.min(a.top, b.top),
+        right: Math.max(a.right, b.right),
+        bottom: Math.max(a.bottom, b.bottom),
+    };
+}
+
+export const currentStroke = {
+    /* elevation before the current paint stroke began */
+    previousElevation: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
+    /* how long, in milliseconds, was spent painting */
+    time: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
+    /* maximum strength applied */
+    strength: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
+    /* changes every stroke, so that the noise brush is different each time */
+    seed: 0,
+};
+
+/*
+ * How a brush changes the elevation under it:
+ *   target   - blend towards a fixed elevation
+ *   relative - add amount to the elevation from before the stroke
+ *   smooth   - blend towards the average of the neighboring cells
+ *   noise    - add amount times a random value per cell
+ *   line     - cut a channel amount deep (see carveLine)
+ *   wind     - paint the wind layer instead (see paintWind)
+ */
+export type Tool = {
+    mode: 'target' | 'relative' | 'smooth' | 'noise' | 'line' | 'wind';
+    elevation?: number;
+    amount?: number;
+};
+
+/**
+ * Paint the wind blowing towards dx, dy (map units, any length) into
+ * the wind layer around x0, y0 (0 to 1). The brush size is in
+ * elevation cells, like paintAt, so that the brushes look the same
+ * size, and the longer it's held, the more the wind turns towards
+ * the new direction. The vectors stay at most length 1; at length 1
+ * they replace wind_angle_deg entirely (see Map.assignWind). Returns
+ * false if there was no direction to paint.
+ */
+export function paintWind(wind: Float32Array, aspect: number, wrap: boolean,
+                          x0: number, y0: number, dx: number, dy: number,
+                          size: { innerRadius: number; outerRadius: number; rate: number; },
+                          deltaTimeInMs: number): boolean {
+    let length = Math.hypot(dx, dy);
+    if (length === 0) return false;
+    deltaTimeInMs = Math.min(100, deltaTimeInMs);
+    const scale = WIND_SIZE / CANVAS_SIZE;
+    let outerRadius = Math.max(1, size.outerRadius * scale),
+        innerRadius = Math.min(size.innerRadius * scale, outerRadius / 2);
+    // Cell x is at x / WIND_SIZE through (x + 1) / WIND_SIZE
+    let xc = x0 * WIND_SIZE - 0.5, yc = y0 * WIND_SIZE - 0.5;
+    let top = Math.max(0, Math.ceil(yc - outerRadius)),
+        bottom = Math.min(WIND_SIZE-1, Math.floor(yc + outerRadius));
+    for (let y = top; y <= bottom; y++) {
+        for (let x = Math.ceil(xc - outerRadius / aspect); x <= xc + outerRadius / aspect; x++) {
+            if (!wrap && (x < 0 || x > WIND_SIZE-1)) continue;
+            let column = (x % WIND_SIZE + WIND_SIZE) % WIND_SIZE;
+            let p = 2 * (y * WIND_SIZE + column);
+            let distance = Math.hypot((x - xc) * aspect, y - yc);
+            let strength = 1.0 - Math.min(1, Math.max(0, (distance - innerRadius) / (outerRadius - innerRadius)));
+            let mix = Math.min(1, strength * size.rate/1000 * deltaTimeInMs);
+            wind[p]     += mix * (dx / length - wind[p]);
+            wind[p + 1] += mix * (dy / length - wind[p + 1]);
+        }
+    }
+    return true;
+}
+
+/* A random value from -1 to +1 for each cell, different for each seed */
+function cellNoise(x: number, y: number, seed: number): number {
+    let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(seed, 0x9e3779b9);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h ^= h >>> 13;
+    return (h >>> 0) / 0xffffffff * 2 - 1;
+}
+
+
+/* The elevation is -1.0 to 0.0 → water, 0.0 to +1.0 → land */
+export class Generator {
+    seed = 0;
+    island = 0;
+    userHasPainted = false;
+    elevation: Float32Array;
+    
+    constructor (public aspect: number = 1, public wrap: boolean = false) {
+        this.elevation = new Float32Array(CANVAS_SIZE * CANVAS_SIZE);
+    }
+
+    /** Returns true if the elevation had to be regenerated */
+    setElevationParam(elevationParam): boolean {
+        if (   elevationParam.seed   !== this.seed
+            || elevationParam.island !== this.island) {
+            this.seed   = elevationParam.seed;
+            this.island = elevationParam.island;
+            this.generate();
+            return true;
+        }
+        return false;
+    }
+    
+    /** Replace the elevation, e.g. with constraints loaded from a file */
+    setConstraints(elevationParam, constraints: Float32Array, userHasPainted: boolean) {
+        this.setElevationParam(elevationParam);
+        this.elevation.set(constraints);
+        this.userHasPainted = userHasPainted;
+    }
+
+    /**
+     * Replace the elevation with an external heightmap, such as a
+     * grayscale image. The values should be 0 to 1, in row major
+     * order, and are resampled to the canvas size. The gray level
+     * seaLevel becomes elevation 0, and scale is how much elevation
+     * changes per unit of gray.
+     */
+    setFromHeightmap(values: ArrayLike<number>, width: number, height: number,
+                     seaLevel: number, scale: number) {
+        const {elevation} = this;
+        for (let y = 0; y < CANVAS_SIZE; y++) {
+            for (let x = 0; x < CANVAS_SIZE; x++) {
+                // Bilinear interpolation, sampling at cell centers
+                let sx = clamp((x + 0.5) / CANVAS_SIZE * width - 0.5, 0, width - 1),
+                    sy = clamp((y + 0.5) / CANVAS_SIZE * height - 0.5, 0, height - 1);
+                let x0 = Math.floor(sx), y0 = Math.floor(sy),
+                    x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1),
+                    xFrac = sx - x0, yFrac = sy - y0;
+                let v = (values[y0 * width + x0] * (1 - xFrac) + values[y0 * width + x1] * xFrac) * (1 - yFrac)
+                      + (values[y1 * width + x0] * (1 - xFrac) + values[y1 * width + x1] * xFrac) * yFrac;
+                elevation[y * CANVAS_SIZE + x] = clamp((v - seaLevel) * scale, -1.0, +1.0);
+            }
+        }
+        this.userHasPainted = true;
+    }
+
+    /** Use a noise function to determine the shape */
+    generate() {
+        const {elevation, island, aspect, wrap} = this;
+        const noise2D = createNoise2D(makeRandFloat(this.seed));
+        const noise3D = createNoise3D(makeRandFloat(this.seed));
+        /* When wrapping, x goes around a circle in 3d noise so that it's
+         * periodic; nx is -aspect to +aspect, so the circumference is
+         * 2 * aspect. The circle is scaled by the frequency instead of
+         * scaling the angle, which would repeat the noise. */
+        const radius = aspect / Math.PI;
+        function noise(nx, ny, frequency, offsetX, offsetY) {
+            if (!wrap) return noise2D(nx * frequency + offsetX, ny * frequency + offsetY);
+            let angle = Math.PI * nx / aspect;
+            return noise3D(frequency * radius * Math.cos(angle) + offsetX,
+                           frequency * radius * Math.sin(angle),
+                           ny * frequency + offsetY);
+        }
+        const persistence = 1/2;
+        const amplitudes = Array.from({length: 5}, (_, octave) => Math.pow(persistence, octave));
+
+        function fbm_noise(nx, ny) {
+            let sum = 0, sumOfAmplitudes = 0;
+            for (let octave = 0; octave < amplitudes.length; octave++) {
+                let frequency = 1 << octave;
+                sum += amplitudes[octave] * noise(nx, ny, frequency, 0, 0);
+                sumOfAmplitudes += amplitudes[octave];
+            }
+            return sum / sumOfAmplitudes;
+        }
+
+        for (let y = 0; y < CANVAS_SIZE; y++) {
+            for (let x = 0; x < CANVAS_SIZE; x++) {
+                let p = y * CANVAS_SIZE + x;
+                let nx = 2 * x/CANVAS_SIZE - 1,
+                    ny = 2 * y/CANVAS_SIZE - 1;
+                // A wrapping map has no east or west edge, so the
+                // island shape only goes to water at the poles
+                let distance = wrap ? Math.abs(ny) : Math.max(Math.abs(nx), Math.abs(ny));
+                // The island shape fills the map, but the noise
+                // shouldn't be stretched
+                nx *= aspect;
+                let e = 0.5 * (fbm_noise(nx, ny) + island * (0.75 - 2 * distance * distance));
+                if (e < -1.0) { e = -1.0; }
+                if (e > +1.0) { e = +1.0; }
+                elevation[p] = e;
+                if (e > 0.0) {
+                    let m = (0.5 * noise(nx, ny, 1, 30, 50)
+                             + 0.5 * noise(nx, ny, 2, 33, 55));
+                    // TODO: make some of these into parameters
+                    let mountain = Math.min(1.0, e * 5.0) * (1 - Math.abs(m) / 0.5);
+                    if (mountain > 0.0) {
+                        elevation[p] = Math.max(e, Math.min(e * 3, mountain));
+                    }
+                }
+            }
+        }
+
+        this.userHasPainted = false;
+    }
+
+    /** The index of the cell at x0, y0, which should be 0 to 1 */
+    cellAt(x0: number, y0: number): number {
+        let x = (x0 * CANVAS_SIZE) | 0, y = (y0 * CANVAS_SIZE) | 0;
+        x = this.wrap ? (x % CANVAS_SIZE + CANVAS_SIZE) % CANVAS_SIZE : clamp(x, 0, CANVAS_SIZE-1);
+        return clamp(y, 0, CANVAS_SIZE-1) * CANVAS_SIZE + x;
+    }
+
+    /**
+     * Paint a circular region. x0, y0 should be 0 to 1. The radius is
+     * in cells along y; along x it's divided by the aspect ratio.
+     * Returns the rectangle of cells that may have changed, or null
+     * if none. On a wrapping map a brush that crosses the seam paints
+     * on both sides, and the rectangle becomes the full width.
+     *
+     * The target, relative, and noise brushes mix in more of their
+     * effect the longer they're held, up to the full effect, starting
+     * from the elevation before the stroke. The smooth brush keeps
+     * smoothing the current elevation as long as it's held.
+     */
+    paintAt(tool: Tool,
+            x0: number, y0: number,
+            size: { innerRadius: number; outerRadius: number; rate: number; },
+            deltaTimeInMs: number): Rect | null {
+        let {elevation, aspect, wrap} = this;
+        /* This has two effects: first time you click the mouse it has a
+         * strong effect, and it also limits the amount in case you
+         * pause */
+        deltaTimeInMs = Math.min(100, deltaTimeInMs);
+
+        let {innerRadius, outerRadius, rate} = size;
+        let xc = (x0 * CANVAS_SIZE) | 0, yc = (y0 * CANVAS_SIZE) | 0;
+        let top = Math.ceil(Math.max(0, yc - outerRadius)),
+            bottom = Math.floor(Math.min(CANVAS_SIZE-1, yc + outerRadius));
+        let rect: Rect = {
+            left: Math.ceil(Math.max(0, xc - outerRadius / aspect)),
+            right: Math.floor(Math.min(CANVAS_SIZE-1, xc + outerRadius / aspect)),
+            top, bottom,
+        };
+        if (wrap && (xc - outerRadius / aspect < 0 || xc + outerRadius / aspect > CANVAS_SIZE-1)) {
+            rect.left = 0;
+            rect.right = CANVAS_SIZE-1;
+        }
+        // The smooth brush reads the neighbors from before this step
+        let before = tool.mode === 'smooth' ? elevation.slice() : null;
+        for (let y = top; y <= bottom; y++) {
+            let s = Math.sqrt(outerRadius * outerRadius - (y - yc) * (y - yc)) / aspect | 0;
+            let left = wrap ? xc - s : Math.max(0, xc - s),
+                right = wrap ? xc + s : Math.min(CANVAS_SIZE-1, xc + s);
+            for (let x = left; x <= right; x++) {
+                let column = wrap ? (x % CANVAS_SIZE + CANVAS_SIZE) % CANVAS_SIZE : x;
+                let p = y * CANVAS_SIZE + column;
+                let dx = (x - xc) * aspect;
+                let distance = Math.sqrt(dx * dx + (y - yc) * (y - yc));
+                let strength = 1.0 - Math.min(1, Math.max(0, (distance - innerRadius) / (outerRadius - innerRadius)));
+                let factor = rate/1000 * deltaTimeInMs;
+                if (before) {
+                    elevation[p] += Math.min(1, strength * factor) * (this.neighborAverage(before, column, y) - before[p]);
+                    continue;
+                }
+                currentStroke.time[p] += strength * factor;
+                if (strength > currentStroke.strength[p]) {
+                    currentStroke.strength[p] = (1 - factor) * currentStroke.strength[p] + factor * strength;
+                }
+                let mix = currentStroke.strength[p] * Math.min(1, currentStroke.time[p]);
+                let previous = currentStroke.previousElevation[p];
+                let e = tool.mode === 'relative' ? previous + mix * tool.amount
+                      : tool.mode === 'noise' ? previous + mix * tool.amount * cellNoise(column, y, currentStroke.seed)
+                      : (1 - mix) * previous + mix * tool.elevation;
+                elevation[p] = clamp(e, -1.0, +1.0);
+            }
+        }
+
+        this.userHasPainted = true;
+        return (rect.left <= rect.right && rect.top <= rect.bottom) ? rect : null;
+    }
+
+    /* Average of the 3✕3 cells around x, y, wrapping or clamping at the edges */
+    neighborAverage(values: Float32Array, x: number, y: number): number {
+        let sum = 0;
+        for (let dy = -1; dy <= +1; dy++) {
+            let row = clamp(y + dy, 0, CANVAS_SIZE-1) * CANVAS_SIZE;
+            for (let dx = -1; dx <= +1; dx++) {
+                let column = this.wrap ? (x + dx + CANVAS_SIZE) % CANVAS_SIZE : clamp(x + dx, 0, CANVAS_SIZE-1);
+                sum += values[row + column];
+            }
+        }
+        return sum / 9;
+    }
+
+    /**
+     * Cut a river channel from x0, y0 to x1, y1 (0 to 1), starting
+     * over from the elevation before the stroke, so that the end of
+     * the line can be dragged around (the caller puts back the cells
+     * that the previous call changed). The floor of the channel goes
+     * steadily from the elevation at one end to the elevation at the
+     * other, depth below it, so that the rivers follow it. It only
+     * lowers the land, and on land the floor stays above sea level.
+     * The channel's sides slope from the inner radius to the outer
+     * radius of the brush. Returns the rectangle of cells that may
+     * have changed, like paintAt.
+     */
+    carveLine(x0: number, y0: number, x1: number, y1: number,
+              size: { innerRadius: number; outerRadius: number; },
+              depth: number): Rect | null {
+        let {elevation, aspect, wrap} = this;
+        const {previousElevation} = currentStroke;
+        let {innerRadius, outerRadius} = size;
+        let e0 = previousElevation[this.cellAt(x0, y0)],
+            e1 = previousElevation[this.cellAt(x1, y1)];
+        let xa = (x0 * CANVAS_SIZE) | 0, ya = (y0 * CANVAS_SIZE) | 0,
+            xb = (x1 * CANVAS_SIZE) | 0, yb = (y1 * CANVAS_SIZE) | 0;
+        // Go the short way around a wrapping map
+        if (wrap && Math.abs(xb - xa) > CANVAS_SIZE/2) { xb -= Math.sign(xb - xa) * CANVAS_SIZE; }
+
+        let top = Math.ceil(Math.max(0, Math.min(ya, yb) - outerRadius)),
+            bottom = Math.floor(Math.min(CANVAS_SIZE-1, Math.max(ya, yb) + outerRadius));
+        let left = Math.ceil(Math.min(xa, xb) - outerRadius / aspect),
+            right = Math.floor(Math.max(xa, xb) + outerRadius / aspect);
+        if (!wrap) {
+            left = Math.max(0, left);
+            right = Math.min(CANVAS_SIZE-1, right);
+        }
+        let rect: Rect = {left, right, top, bottom};
+        if (wrap && (left < 0 || right > CANVAS_SIZE-1)) {
+            rect.left = 0;
+            rect.right = CANVAS_SIZE-1;
+        }
+
+        // Distances are measured with x scaled by the aspect ratio
+        let lineX = (xb - xa) * aspect, lineY = yb - ya;
+        let lengthSquared = lineX * lineX + lineY * lineY;
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                let column = wrap ? (x % CANVAS_SIZE + CANVAS_SIZE) % CANVAS_SIZE : x;
+                let p = y * CANVAS_SIZE + column;
+                let dx = (x - xa) * aspect, dy = y - ya;
+                let along = lengthSquared > 0 ? clamp((dx * lineX + dy * lineY) / lengthSquared, 0, 1) : 0;
+                let distance = Math.hypot(dx - along * lineX, dy - along * lineY);
+                let strength = 1.0 - Math.min(1, Math.max(0, (distance - innerRadius) / (outerRadius - innerRadius)));
+                if (strength <= 0) continue;
+                let e = e0 + (e1 - e0) * along;
+                let floor = e >= 0.0 ? Math.max(0.01, e - depth) : e - depth;
+                let previous = previousElevation[p];
+                elevation[p] = clamp(previous + strength * (Math.min(previous, floor) - previous), -1.0, +1.0);
+            }
+        }
+
+        this.userHasPainted = true;
+        return (rect.left <= rect.right && rect.top <= rect.bottom) ? rect : null;
+    }
+}
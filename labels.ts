@@ -0,0 +1,271 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Find the map features that get labels (oceans, seas, lakes, mountain
+ * ranges, major rivers, and settlements) and name them. The labels are
+ * in map coordinates; overlay.ts places them on the screen.
+ */
+
+import {makeRandInt} from '@redblobgames/prng';
+import Map from "./map.ts";
+import {minRiverFlow, wrapDx} from "./geometry.ts";
+import {makeNamer, defaultNameModel} from "./names.ts";
+
+export type LabelKind = 'ocean' | 'sea' | 'lake' | 'mountains' | 'river' | 'capital' | 'town';
+
+/**
+ * xyz is one point, or for rivers, a line from the mouth upstream,
+ * as x, y, z triples. The z is the elevation the map is drawn at.
+ * The labels are in priority order for placement.
+ */
+export type Label = {
+    kind: LabelKind;
+    name: string;
+    xyz: number[];
+};
+
+/* Water bodies smaller than these fractions of the map aren't labeled */
+const MIN_OCEAN_FRACTION = 0.2;
+const MIN_SEA_FRACTION = 0.01;
+const MIN_LAKE_TRIANGLES = 30;
+/* A mountain range is connected land above this elevation with at
+ * least this many peaks */
+const RANGE_ELEVATION = 0.12;
+const MIN_RANGE_PEAKS = 3;
+/* Only the biggest rivers are labeled, and only the rivers with this
+ * many times the minimum flow to draw a river */
+const MAX_RIVER_LABELS = 8;
+const RIVER_LABEL_FLOW = 4;
+
+const NAME_FORMAT: {[kind in LabelKind]: (name: string) => string} = {
+    ocean: name => `${name} Ocean`,
+    sea: name => `Sea of ${name}`,
+    lake: name => `Lake ${name}`,
+    mountains: name => `${name} Mountains`,
+    river: name => `${name} River`,
+    capital: name => name,
+    town: name => name,
+};
+
+
+/**
+ * Make the labels for the map. The names depend on the elevation
+ * seed and on where each feature is, so they stay the same when the
+ * map is regenerated unless the feature moves.
+ */
+export function findLabels(map: Map, param: any): Label[] {
+    const namer = makeNamer(param.names?.model ?? defaultNameModel);
+    const seed = param.elevation.seed;
+    let used = new Set<string>();
+    let labels: Label[] = [];
+
+    function add(kind: LabelKind, key: number, xyz: number[]) {
+        let name = "";
+        let kindIndex = Object.keys(NAME_FORMAT).indexOf(kind);
+        for (let attempt = 0; attempt < 10; attempt++) {
+            name = namer(makeRandInt((Math.imul(seed, 0x9e3779b1) ^ Math.imul(key * 8 + kindIndex, 0x85ebca6b) ^ attempt) >>> 0));
+            if (!used.has(name)) break;
+        }
+        used.add(name);
+        labels.push({kind, name: NAME_FORMAT[kind](name), xyz});
+    }
+
+    findWaterBodies(map, add);
+    map.r_settlements.forEach((r, rank) => {
+        add(rank === 0 ? 'capital' : 'town', r, [map.mesh.x_of_r(r), map.mesh.y_of_r(r), Math.max(0.0, map.elevation_r[r])]);
+    });
+    findMountainRanges(map, add);
+    findMajorRivers(map, param.rivers, add);
+    return labels;
+}
+
+
+type AddLabel = (kind: LabelKind, key: number, xyz: number[]) => void;
+
+/**
+ * Oceans and seas are the connected water regions, labeled where
+ * they're farthest from land. Lakes are labeled at the lake triangle
+ * closest to the middle of the lake.
+ */
+function findWaterBodies(map: Map, add: AddLabel) {
+    const {mesh, elevation_r, elevation_t, lake_t, elevation_lake} = map;
+    const {numRegions, numSolidRegions, numSolidTriangles, _s_of_r, _halfedges} = mesh;
+    const isWater = (r: number) => r < numSolidRegions && elevation_r[r] < 0.0;
+
+    function forEachNeighbor(r: number, callback: (r_neighbor: number) => void) {
+        const s0 = _s_of_r[r];
+        let s_incoming = s0;
+        do {
+            callback(mesh.r_begin_s(s_incoming));
+            s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+        } while (s_incoming !== s0);
+    }
+
+    // Breadth first search from the shore to find the distance to
+    // land; the edge of the map counts as shore so that the labels
+    // don't get cut off
+    let distance_r = new Int32Array(numRegions).fill(-1);
+    let r_queue: number[] = [];
+    for (let r = 0; r < numSolidRegions; r++) {
+        if (!isWater(r)) continue;
+        if (mesh.is_boundary_r(r)) {
+            distance_r[r] = 0;
+            r_queue.push(r);
+            continue;
+        }
+        forEachNeighbor(r, r_neighbor => {
+            if (distance_r[r] < 0 && r_neighbor < numSolidRegions && !isWater(r_neighbor)) {
+                distance_r[r] = 0;
+                r_queue.push(r);
+            }
+        });
+    }
+    for (let i = 0; i < r_queue.length; i++) {
+        let r_current = r_queue[i];
+        forEachNeighbor(r_current, r_neighbor => {
+            if (distance_r[r_neighbor] < 0 && isWater(r_neighbor)) {
+                distance_r[r_neighbor] = distance_r[r_current] + 1;
+                r_queue.push(r_neighbor);
+            }
+        });
+    }
+
+    // Flood fill each connected body of water
+    let visited_r = new Int8Array(numRegions);
+    for (let r_start = 0; r_start < numSolidRegions; r_start++) {
+        if (visited_r[r_start] || !isWater(r_start) || distance_r[r_start] < 0) continue;
+        let r_body = [r_start], r_center = r_start;
+        visited_r[r_start] = 1;
+        for (let i = 0; i < r_body.length; i++) {
+            let r_current = r_body[i];
+            if (distance_r[r_current] > distance_r[r_center]) { r_center = r_current; }
+            forEachNeighbor(r_current, r_neighbor => {
+                if (!visited_r[r_neighbor] && isWater(r_neighbor)) {
+                    visited_r[r_neighbor] = 1;
+                    r_body.push(r_neighbor);
+                }
+            });
+        }
+        let fraction = r_body.length / numSolidRegions;
+        if (fraction >= MIN_SEA_FRACTION) {
+            add(fraction >= MIN_OCEAN_FRACTION ? 'ocean' : 'sea', r_center, [mesh.x_of_r(r_center), mesh.y_of_r(r_center), 0.0]);
+        }
+    }
+
+    let t_lake: number[][] = elevation_lake.map(() => []);
+    for (let t = 0; t < numSolidTriangles; t++) {
+        if (lake_t[t] >= 0) { t_lake[lake_t[t]].push(t); }
+    }
+    for (let lake = 0; lake < t_lake.length; lake++) {
+        let triangles = t_lake[lake];
+        if (triangles.length < MIN_LAKE_TRIANGLES) continue;
+        let x0 = mesh.x_of_t(triangles[0]), dx = 0, y = 0;
+        for (let t of triangles) {
+            dx += wrapDx(mesh, mesh.x_of_t(t) - x0);
+            y += mesh.y_of_t(t);
+        }
+        let x = x0 + dx / triangles.length;
+        y /= triangles.length;
+        let t_center = triangles[0], best = Infinity;
+        for (let t of triangles) {
+            let d = Math.hypot(wrapDx(mesh, mesh.x_of_t(t) - x), mesh.y_of_t(t) - y);
+            if (d < best) { best = d; t_center = t; }
+        }
+        add('lake', t_center, [mesh.x_of_t(t_center), mesh.y_of_t(t_center), Math.max(0.0, elevation_t[t_center])]);
+    }
+}
+
+
+/**
+ * Mountain peaks (t_peaks) that are connected by high land form a
+ * range, which is labeled at the middle of its peaks. The peaks in
+ * the ocean or lowlands aren't part of any range.
+ */
+function findMountainRanges(map: Map, add: AddLabel) {
+    const {mesh, t_peaks, elevation_t} = map;
+    const {numTriangles, numSolidTriangles} = mesh;
+
+    let range_t = new Int32Array(numTriangles).fill(-1);
+    let peaks_range: number[][] = [];
+    for (let t_peak of t_peaks) {
+        if (elevation_t[t_peak] < RANGE_ELEVATION) continue;
+        if (range_t[t_peak] >= 0) {
+            peaks_range[range_t[t_peak]].push(t_peak);
+            continue;
+        }
+        let range = peaks_range.length;
+        peaks_range.push([t_peak]);
+        range_t[t_peak] = range;
+        let t_queue = [t_peak];
+        for (let i = 0; i < t_queue.length; i++) {
+            for (let j = 0; j < 3; j++) {
+                let t_neighbor = mesh.t_outer_s(3 * t_queue[i] + j);
+                if (t_neighbor < numSolidTriangles && range_t[t_neighbor] < 0 && elevation_t[t_neighbor] >= RANGE_ELEVATION) {
+                    range_t[t_neighbor] = range;
+                    t_queue.push(t_neighbor);
+                }
+            }
+        }
+    }
+
+    for (let peaks of peaks_range) {
+        if (peaks.length < MIN_RANGE_PEAKS) continue;
+        let x0 = mesh.x_of_t(peaks[0]), dx = 0, y = 0, z = 0;
+        for (let t of peaks) {
+            dx += wrapDx(mesh, mesh.x_of_t(t) - x0);
+            y += mesh.y_of_t(t);
+            z += elevation_t[t];
+        }
+        let x = x0 + dx / peaks.length;
+        if (mesh.wrap) { x = ((x % mesh.width) + mesh.width) % mesh.width; }
+        add('mountains', peaks[0], [x, y / peaks.length, z / peaks.length]);
+    }
+}
+
+
+/**
+ * The biggest rivers are the ones with the most flow at the mouth.
+ * Each one is followed upstream, always taking the tributary with the
+ * most flow, through the midpoints of the sides (see riverFeatures
+ * in export-geojson.ts).
+ */
+function findMajorRivers(map: Map, riversParam: any, add: AddLabel) {
+    const {mesh, s_downslope_t, flow_s, elevation_t, elevation_r, lake_t} = map;
+    const {numSolidTriangles} = mesh;
+    const minFlow = minRiverFlow(riversParam);
+
+    let s_mouths: number[] = [];
+    for (let t = 0; t < numSolidTriangles; t++) {
+        let s = s_downslope_t[t];
+        if (s < 0 || elevation_t[t] < 0.0 || lake_t[t] >= 0 || flow_s[s] < RIVER_LABEL_FLOW * minFlow) continue;
+        if (elevation_t[mesh.t_outer_s(s)] < 0.0) { s_mouths.push(s); }
+    }
+    s_mouths.sort((s1, s2) => flow_s[s2] - flow_s[s1]);
+
+    for (let s_mouth of s_mouths.slice(0, MAX_RIVER_LABELS)) {
+        let xyz: number[] = [];
+        let x = mesh.x_of_r(mesh.r_begin_s(s_mouth));
+        for (let s = s_mouth; s >= 0; ) {
+            let r1 = mesh.r_begin_s(s), r2 = mesh.r_end_s(s);
+            // On a map that wraps, keep the line continuous
+            let x1 = x + wrapDx(mesh, mesh.x_of_r(r1) - x),
+                x2 = x1 + wrapDx(mesh, mesh.x_of_r(r2) - x1);
+            x = 0.5 * (x1 + x2);
+            xyz.push(x, 0.5 * (mesh.y_of_r(r1) + mesh.y_of_r(r2)), Math.max(0.0, 0.5 * (elevation_r[r1] + elevation_r[r2])));
+
+            let t = mesh.t_inner_s(s), s_upstream = -1;
+            for (let j = 0; j < 3; j++) {
+                let s_in = mesh.s_opposite_s(3 * t + j);
+                if (s_downslope_t[mesh.t_inner_s(s_in)] === s_in && flow_s[s_in] >= minFlow
+                    && lake_t[mesh.t_inner_s(s_in)] < 0
+                    && (s_upstream < 0 || flow_s[s_in] > flow_s[s_upstream])) {
+                    s_upstream = s_in;
+                }
+            }
+            s = s_upstream;
+        }
+        if (xyz.length >= 3 * 3) { add('river', s_mouth, xyz); }
+    }
+}
@@ -7,11 +7,13 @@
  * This module has the procedural map generation algorithms (elevations, rivers)
  */
 
-import {createNoise2D} from 'simplex-noise';
+import {createNoise2D, createNoise3D} from 'simplex-noise';
 import FlatQueue from 'flatqueue';
 import {makeRandFloat} from '@redblobgames/prng';
-import {clamp} from "./geometry.ts";
+import {clamp, wrapDx, minRiverFlow, riverWidth} from "./geometry.ts";
+import {OCEAN, defaultBiomeTable, makeBiomeLookup} from "./biomes.ts";
 import type {Mesh} from "./types.d.ts";
+import {WIND_SIZE, type Rect} from "./heightmap.ts";
 
 type PrecalculatedNoise = {
     noise0_t: Float32Array;
@@ -23,6 +25,24 @@ type PrecalculatedNoise = {
     noise6_t: Float32Array;
 }
 
+/* Depressions shallower than the hills, or than this if the hills are
+ * lower, or smaller than this many square map units, don't become
+ * lakes (see assignLakes) */
+const MIN_LAKE_DEPTH = 0.005;
+const MIN_LAKE_AREA = 200;
+
+/* Elevation change per mesh spacing that counts as fully steep for
+ * choosing settlement sites */
+const MAX_SITE_GRADE = 0.05;
+/* Elevation change per mesh spacing that turns the wind fully
+ * (wind_bending) to go around the slope instead of up it */
+const MAX_WIND_GRADE = 0.05;
+/* Following an existing road costs this fraction of building one */
+const ROAD_REUSE = 0.5;
+/* Mountain ridges make territory borders expensive out to this many
+ * mesh spacings from a peak */
+const RIDGE_WIDTH = 3;
+
 const mountain = {
     slope: 16,
 };
@@ -58,23 +78,35 @@ function calculateMountainDistance(mesh: Mesh, t_peaks: number[], spacing: numbe
  * Save noise values in arrays.
  */
 function precalculateNoise(randFloat: () => number, mesh: Mesh): PrecalculatedNoise {
-    const noise2D = createNoise2D(randFloat);
-    let {numTriangles} = mesh;
+    let {numTriangles, width, height} = mesh;
     let noise0_t = new Float32Array(numTriangles),
         noise1_t = new Float32Array(numTriangles),
         noise2_t = new Float32Array(numTriangles),
         noise4_t = new Float32Array(numTriangles),
         noise5_t = new Float32Array(numTriangles),
         noise6_t = new Float32Array(numTriangles);
+    // NOTE: the noise is scaled so that 500 map units is 1 unit of
+    // noise, centered on the map; larger maps get more features
+    // instead of larger ones. On a map that wraps east-west, x goes
+    // around a circle in 3d noise instead, so that it's periodic.
+    const noise2D = createNoise2D(randFloat);
+    const noise3D = mesh.wrap ? createNoise3D(randFloat) : null;
+    const radius = width / (2 * Math.PI) / 500;
     for (let t = 0; t < numTriangles; t++) {
-        let nx = (mesh.x_of_t(t)-500) / 500,
-            ny = (mesh.y_of_t(t)-500) / 500;
-        noise0_t[t] = noise2D(nx, ny);
-        noise1_t[t] = noise2D(2*nx + 5, 2*ny + 5);
-        noise2_t[t] = noise2D(4*nx + 7, 4*ny + 7);
-        noise4_t[t] = noise2D(16*nx + 15, 16*ny + 15);
-        noise5_t[t] = noise2D(32*nx + 31, 32*ny + 31);
-        noise6_t[t] = noise2D(64*nx + 67, 64*ny + 67);
+        let nx = (mesh.x_of_t(t) - width/2) / 500,
+            ny = (mesh.y_of_t(t) - height/2) / 500;
+        let angle = 2 * Math.PI * mesh.x_of_t(t) / width,
+            cx = radius * Math.cos(angle),
+            cy = radius * Math.sin(angle);
+        const noise = (frequency: number, offset: number) => noise3D
+            ? noise3D(frequency*cx + offset, frequency*cy + offset, frequency*ny + offset)
+            : noise2D(frequency*nx + offset, frequency*ny + offset);
+        noise0_t[t] = noise(1, 0);
+        noise1_t[t] = noise(2, 5);
+        noise2_t[t] = noise(4, 7);
+        noise4_t[t] = noise(16, 15);
+        noise5_t[t] = noise(32, 31);
+        noise6_t[t] = noise(64, 67);
     }
     return {noise0_t, noise1_t, noise2_t, noise4_t, noise5_t, noise6_t};
 }
@@ -86,18 +118,32 @@ export default class Map {
     precomputed: PrecalculatedNoise;
     mountainJaggedness: number = -Infinity;
     windAngleDeg: number = Infinity;
+    carved: boolean = false; // elevation_t has the rivers and lakes in it
     elevation_t: Float32Array;
     elevation_r: Float32Array;
     humidity_r: Float32Array;
     moisture_t: Float32Array;
     rainfall_r: Float32Array;
+    temperature_r: Float32Array;
+    temperature_t: Float32Array;
+    biome_r: Uint8Array;
     s_downslope_t: Int32Array;
     t_order: Int32Array;
     flow_t: Float32Array;
     flow_s: Float32Array;
+    uncarved_elevation_t: Float32Array;
+    lake_t: Int32Array;
+    t_outlet_lake: number[] = [];
+    elevation_lake: number[] = [];
     r_wind_order: Int32Array;
     wind_sort_r: Float32Array;
+    wind_r: Float32Array;
     mountain_distance_t: Float32Array;
+    score_r: Float32Array;
+    r_settlements: number[] = [];
+    roads: number[][] = [];
+    r_capitals: number[] = [];
+    territory_r: Int32Array;
 
     constructor (public mesh: Mesh, public t_peaks: number[], param: any) {
         this.spacing = param.spacing;
@@ -106,29 +152,38 @@ export default class Map {
         this.humidity_r          = new Float32Array(mesh.numRegions);
         this.moisture_t          = new Float32Array(mesh.numTriangles);
         this.rainfall_r          = new Float32Array(mesh.numRegions);
+        this.temperature_r       = new Float32Array(mesh.numRegions);
+        this.temperature_t       = new Float32Array(mesh.numTriangles);
+        this.biome_r             = new Uint8Array(mesh.numRegions);
         this.s_downslope_t       = new Int32Array(mesh.numTriangles);
         this.t_order             = new Int32Array(mesh.numTriangles);
         this.flow_t              = new Float32Array(mesh.numTriangles);
         this.flow_s              = new Float32Array(mesh.numSides);
+        this.uncarved_elevation_t = new Float32Array(mesh.numTriangles);
+        this.lake_t              = new Int32Array(mesh.numTriangles);
         this.r_wind_order        = new Int32Array(mesh.numRegions);
         this.wind_sort_r         = new Float32Array(mesh.numRegions);
+        this.wind_r              = new Float32Array(2 * mesh.numRegions);
         this.mountain_distance_t = new Float32Array(mesh.numTriangles);
+        this.score_r             = new Float32Array(mesh.numRegions);
+        this.territory_r         = new Int32Array(mesh.numRegions);
     }
 
+    /**
+     * Assign elevations to all the triangles, or only the triangles
+     * in t_list if it's given (see assignElevationInRect).
+     */
     assignTriangleElevation(elevationParam: { noisy_coastlines: number; mountain_sharpness: number; hill_height: number; ocean_depth: number; },
-                            constraints: { constraints: Float32Array; size: any; }) {
+                            constraints: { constraints: Float32Array; size: any; },
+                            t_list: ArrayLike<number> | null = null) {
         let {mesh, elevation_t, mountain_distance_t, precomputed} = this;
         let {numTriangles, numSolidTriangles} = mesh;
 
-        // Assign elevations to triangles TODO: separate message,
-        // store the interpolated values in an array, or maybe for
-        // each painted cell store which triangle elevations have to
-        // be updated, so that we don't have to recalculate the entire
-        // map's interpolated values each time (involves copying 50k
-        // floats instead of 16k floats), or maybe send a message with
-        // the bounding box of the painted area, or maybe send the
-        // drawing positions and parameters and let the painting happen
-        // in this thread.
+        // TODO: we still copy all 16k floats of the constraints in
+        // every message even when only a few of them changed; maybe
+        // send only the painted rectangle, or send the drawing
+        // positions and parameters and let the painting happen in
+        // this thread.
         function constraintAt(x: number, y: number): number {
             // https://en.wikipedia.org/wiki/Bilinear_interpolation
             const C = constraints.constraints, size = constraints.size;
@@ -137,34 +192,44 @@ export default class Map {
             // to leave one extra tile for bilinear filtering, that
             // means I want xInt < size-1. So I need to multiply x and
             // y by size-1, not by size.
-            x = clamp(x * (size-1), 0, size-2);
+            //
+            // On a map that wraps east-west, the columns tile, so x
+            // is multiplied by size and the last column blends into
+            // the first.
+            x = mesh.wrap ? x * size : clamp(x * (size-1), 0, size-2);
             y = clamp(y * (size-1), 0, size-2);
             let xInt = Math.floor(x),
                 yInt = Math.floor(y),
                 xFrac = x - xInt,
                 yFrac = y - yInt;
-            let p = size * yInt + xInt;
-            let e00 = C[p],
-            e01 = C[p + 1],
-            e10 = C[p + size],
-            e11 = C[p + size + 1];
+            let x0 = xInt, x1 = xInt + 1;
+            if (mesh.wrap) {
+                x0 = ((xInt % size) + size) % size;
+                x1 = (x0 + 1) % size;
+            }
+            let p = size * yInt;
+            let e00 = C[p + x0],
+            e01 = C[p + x1],
+            e10 = C[p + size + x0],
+            e11 = C[p + size + x1];
             return ((e00 * (1 - xFrac) + e01 * xFrac) * (1 - yFrac)
                 + (e10 * (1 - xFrac) + e11 * xFrac) * yFrac);
         }
-        for (let t = 0; t < numSolidTriangles; t++) {
-            let e = constraintAt(mesh.x_of_t(t)/1000, mesh.y_of_t(t)/1000);
-            // TODO: e*e*e*e seems too steep for this, as I want this
-            // to apply mostly at the original coastlines and not
-            // elsewhere
-            elevation_t[t] = e + elevationParam.noisy_coastlines * (1 - e*e*e*e) * (precomputed.noise4_t[t] + precomputed.noise5_t[t]/2 + precomputed.noise6_t[t]/4);
-        }
-
         // For land triangles, mix hill and mountain terrain together
         const mountain_slope = mountain.slope,
               mountain_sharpness = Math.pow(2, elevationParam.mountain_sharpness),
-              {noise0_t, noise1_t, noise2_t, noise4_t} = precomputed;
-        for (let t = 0; t < numTriangles; t++) {
-            let e = elevation_t[t];
+              {noise0_t, noise1_t, noise2_t, noise4_t, noise5_t, noise6_t} = precomputed;
+        function triangleElevation(t: number): number {
+            let e = 0.0; // the ghost triangles aren't constrained
+            if (t < numSolidTriangles) {
+                e = constraintAt(mesh.x_of_t(t)/mesh.width, mesh.y_of_t(t)/mesh.height);
+                // TODO: e*e*e*e seems too steep for this, as I want this
+                // to apply mostly at the original coastlines and not
+                // elsewhere
+                // NOTE: rounded to float32, as it was when this went
+                // through elevation_t, so that the output doesn't change
+                e = Math.fround(e + elevationParam.noisy_coastlines * (1 - e*e*e*e) * (noise4_t[t] + noise5_t[t]/2 + noise6_t[t]/4));
+            }
             if (e > 0) {
                 /* Mix two sources of elevation:
                  *
@@ -194,14 +259,26 @@ export default class Map {
             }
             if (e < -1.0) { e = -1.0; }
             if (e > +1.0) { e = +1.0; }
-            elevation_t[t] = e;
+            return e;
+        }
+
+        if (t_list) {
+            for (let i = 0; i < t_list.length; i++) {
+                elevation_t[t_list[i]] = triangleElevation(t_list[i]);
+            }
+        } else {
+            for (let t = 0; t < numTriangles; t++) {
+                elevation_t[t] = triangleElevation(t);
+            }
         }
     }
 
-    assignRegionElevation() {
+    /* All the regions, or only the regions in r_list if it's given */
+    assignRegionElevation(r_list: ArrayLike<number> | null = null) {
         let {mesh, elevation_t, elevation_r} = this;
         let {numRegions, _s_of_r, _halfedges} = mesh;
-        for (let r = 0; r < numRegions; r++) {
+        for (let i = 0; i < (r_list ? r_list.length : numRegions); i++) {
+            let r = r_list ? r_list[i] : i;
             let count = 0, e = 0, water = false;
             const s0 = _s_of_r[r];
             let s_incoming = s0;
@@ -237,16 +314,173 @@ export default class Map {
 
         this.assignTriangleElevation(elevationParam, constraints);
         this.assignRegionElevation();
+        this.carved = false;
     }
 
-    assignRainfall(biomesParam) {
-        const {mesh, r_wind_order, wind_sort_r, humidity_r, rainfall_r, elevation_r} = this;
-        const {numRegions, _s_of_r, _halfedges} = mesh;
+    /**
+     * Update the elevation after the constraints changed only inside
+     * rect (in constraint cells), for the triangles whose constraint
+     * interpolation uses those cells and the regions around them.
+     * This has to follow a full assignElevation with the same
+     * parameters, and any number of assignElevationInRect. If the
+     * rivers were assigned since, it undoes the river carving, so that
+     * the elevations match what assignElevation would make. Returns
+     * the triangles that were recalculated.
+     */
+    assignElevationInRect(elevationParam, constraints: { constraints: Float32Array; size: any; }, rect: Rect): Int32Array {
+        let {mesh, elevation_t, uncarved_elevation_t} = this;
+        let {numSolidTriangles} = mesh;
+        const size = constraints.size;
+        if (this.carved) {
+            elevation_t.set(uncarved_elevation_t);
+            this.carved = false;
+        }
+
+        let t_list: number[] = [];
+        for (let t = 0; t < numSolidTriangles; t++) {
+            // These are the cells that constraintAt() reads
+            let x = Math.floor(clamp(mesh.x_of_t(t)/mesh.width * (size-1), 0, size-2)),
+                y = Math.floor(clamp(mesh.y_of_t(t)/mesh.height * (size-1), 0, size-2));
+            let inRectX = x + 1 >= rect.left && x <= rect.right;
+            if (mesh.wrap) {
+                x = Math.floor(mesh.x_of_t(t)/mesh.width * size) % size;
+                let x1 = (x + 1) % size;
+                inRectX = (rect.left <= x && x <= rect.right) || (rect.left <= x1 && x1 <= rect.right);
+            }
+            if (inRectX && y + 1 >= rect.top && y <= rect.bottom) {
+                t_list.push(t);
+            }
+        }
+        let t_changed = Int32Array.from(t_list);
+        this.assignTriangleElevation(elevationParam, constraints, t_changed);
+
+        let r_changed = new Set<number>();
+        for (let t of t_changed) {
+            for (let i = 0; i < 3; i++) { r_changed.add(mesh.r_begin_s(3*t + i)); }
+        }
+        this.assignRegionElevation(Int32Array.from(r_changed));
+        return t_changed;
+    }
+
+    /**
+     * The wind vector at each region, as x, y pairs. With wind_field
+     * 0, it blows the same way everywhere, towards wind_angle_deg.
+     * With 1, it follows the prevailing winds of the latitude bands:
+     * easterly trade winds blowing towards the equator, westerlies
+     * blowing towards the poles from 30° to 60°, and polar easterlies
+     * beyond that. With 2, it comes from the painted wind layer (see
+     * paintWind in heightmap.ts), and blows towards wind_angle_deg
+     * where nothing's painted. With 1 or 2, the wind also turns to
+     * go around mountains instead of over them, by wind_bending.
+     */
+    assignWind(windParam, climateParam, windLayer: Float32Array | null = null) {
+        const {mesh, spacing, elevation_r, wind_r} = this;
+        const {numSolidRegions, _s_of_r, _halfedges} = mesh;
+        const windField = Math.round(windParam.wind_field);
+        const windAngleRad = Math.PI / 180 * windParam.wind_angle_deg;
+        const {latitude_north, latitude_south} = climateParam;
+        // Which way y goes towards the north pole
+        const north = latitude_north >= latitude_south ? -1 : +1;
+
+        /* The painted layer is sampled at cell centers, with bilinear
+         * interpolation, like the elevation constraints */
+        function paintedAt(x: number, y: number, /* out */ out: number[]) {
+            x = x / mesh.width * WIND_SIZE - 0.5;
+            y = clamp(y / mesh.height * WIND_SIZE - 0.5, 0, WIND_SIZE-1);
+            let x0: number, x1: number, xFrac: number;
+            if (mesh.wrap) {
+                let xInt = Math.floor(x);
+                xFrac = x - xInt;
+                x0 = (xInt % WIND_SIZE + WIND_SIZE) % WIND_SIZE;
+                x1 = (x0 + 1) % WIND_SIZE;
+            } else {
+                x = clamp(x, 0, WIND_SIZE-1);
+                x0 = Math.min(Math.floor(x), WIND_SIZE-2);
+                x1 = x0 + 1;
+                xFrac = x - x0;
+            }
+            let y0 = Math.min(Math.floor(y), WIND_SIZE-2), yFrac = y - y0;
+            let p0 = WIND_SIZE * y0, p1 = p0 + WIND_SIZE;
+            for (let i = 0; i < 2; i++) {
+                out[i] = (windLayer[2*(p0 + x0) + i] * (1 - xFrac) + windLayer[2*(p0 + x1) + i] * xFrac) * (1 - yFrac)
+                       + (windLayer[2*(p1 + x0) + i] * (1 - xFrac) + windLayer[2*(p1 + x1) + i] * xFrac) * yFrac;
+            }
+        }
 
-        if (biomesParam.wind_angle_deg != this.windAngleDeg) {
-            this.windAngleDeg = biomesParam.wind_angle_deg;
-            const windAngleRad = Math.PI / 180 * this.windAngleDeg;
-            const windAngleVec = [Math.cos(windAngleRad), Math.sin(windAngleRad)];
+        let painted = [0, 0];
+        wind_r.fill(0); // for the ghost region
+        for (let r = 0; r < numSolidRegions; r++) {
+            let u = Math.cos(windAngleRad), v = Math.sin(windAngleRad);
+            if (windField === 1) {
+                let latitude = latitude_north + (latitude_south - latitude_north) * clamp(mesh.y_of_r(r) / mesh.height, 0, 1);
+                // -1 in the easterlies, +1 in the westerlies, and 0
+                // at 0°, 30°, 60°, where the bands meet
+                let band = -Math.sin(Math.PI / 30 * Math.abs(latitude));
+                u = band;
+                v = 0.5 * band * Math.sign(latitude) * north;
+            } else if (windField === 2 && windLayer) {
+                paintedAt(mesh.x_of_r(r), mesh.y_of_r(r), painted);
+                let amount = Math.min(1, Math.hypot(painted[0], painted[1]));
+                u = (1 - amount) * u + painted[0];
+                v = (1 - amount) * v + painted[1];
+            }
+            wind_r[2*r] = u;
+            wind_r[2*r + 1] = v;
+        }
+        if (windField === 0) return;
+
+        /* Where the wind goes uphill, take away some of the uphill
+         * part, keeping the speed the same, so that it turns along
+         * the slope. The slope is from the neighbors' elevations,
+         * with the water being flat. */
+        let turned_r = new Float32Array(wind_r);
+        for (let r = 0; r < numSolidRegions; r++) {
+            let gx = 0, gy = 0, count = 0;
+            const e = Math.max(0.0, elevation_r[r]);
+            const s0 = _s_of_r[r];
+            let s_incoming = s0;
+            do {
+                let r_neighbor = mesh.r_begin_s(s_incoming);
+                if (!mesh.is_ghost_r(r_neighbor)) {
+                    let dx = wrapDx(mesh, mesh.x_of_r(r_neighbor) - mesh.x_of_r(r)),
+                        dy = mesh.y_of_r(r_neighbor) - mesh.y_of_r(r);
+                    let rise = (Math.max(0.0, elevation_r[r_neighbor]) - e) / (dx*dx + dy*dy);
+                    gx += rise * dx;
+                    gy += rise * dy;
+                    count++;
+                }
+                s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+            } while (s_incoming !== s0);
+            if (count === 0) continue;
+            gx *= 2 / count;
+            gy *= 2 / count;
+            let grade = Math.hypot(gx, gy);
+            let u = wind_r[2*r], v = wind_r[2*r + 1];
+            let uphill = (u * gx + v * gy) / (grade || 1);
+            if (uphill <= 0) continue;
+            let speed = Math.hypot(u, v);
+            let turn = windParam.wind_bending * Math.min(1, grade * spacing / MAX_WIND_GRADE);
+            u -= turn * uphill * gx / grade;
+            v -= turn * uphill * gy / grade;
+            let scale = speed / (Math.hypot(u, v) || speed);
+            turned_r[2*r] = u * scale;
+            turned_r[2*r + 1] = v * scale;
+        }
+        wind_r.set(turned_r);
+    }
+
+    assignRainfall(rainfallParam, windParam) {
+        const {mesh, r_wind_order, wind_sort_r, humidity_r} = this;
+        const {numRegions} = mesh;
+        if (Math.round(windParam.wind_field) !== 0) {
+            this.assignRainfallAlongField(rainfallParam);
+            return;
+        }
+
+        const windAngleRad = Math.PI / 180 * windParam.wind_angle_deg;
+        const windAngleVec = [Math.cos(windAngleRad), Math.sin(windAngleRad)];
+        if (windParam.wind_angle_deg != this.windAngleDeg) {
+            this.windAngleDeg = windParam.wind_angle_deg;
             for (let r = 0; r < numRegions; r++) {
                 r_wind_order[r] = r;
                 wind_sort_r[r] = mesh.x_of_r(r) * windAngleVec[0] + mesh.y_of_r(r) * windAngleVec[1];
@@ -254,12 +488,119 @@ export default class Map {
             r_wind_order.sort((r1, r2) => wind_sort_r[r1] - wind_sort_r[r2]);
         }
 
+        /* On a map that wraps east-west, the wind that leaves one
+         * side of the map comes back in on the other side. There's
+         * no order where every region comes after the regions upwind
+         * of it, so sweep across twice. The second sweep picks up the
+         * humidity that crossed the seam in the first. */
+        function isUpwind(r: number, r_neighbor: number): boolean {
+            if (!mesh.wrap) return wind_sort_r[r_neighbor] < wind_sort_r[r];
+            let dx = wrapDx(mesh, mesh.x_of_r(r_neighbor) - mesh.x_of_r(r)),
+                dy = mesh.y_of_r(r_neighbor) - mesh.y_of_r(r);
+            return dx * windAngleVec[0] + dy * windAngleVec[1] < 0;
+        }
+        if (mesh.wrap) {
+            humidity_r.fill(0);
+            this.sweepWind(rainfallParam, isUpwind);
+        }
+        this.sweepWind(rainfallParam, isUpwind);
+    }
+
+    /**
+     * Like assignRainfall, but the wind blows the way wind_r (see
+     * assignWind) says at each region. A neighbor is upwind if the
+     * average of the two regions' winds blows from it towards this
+     * region. The regions are put in r_wind_order so that they come
+     * after their upwind neighbors. Where the wind goes around in a
+     * circle there's no such order, so the first region left on the
+     * circle goes next, and then a second sweep across the map picks
+     * up the humidity that the first one missed, like with wrapping.
+     */
+    assignRainfallAlongField(rainfallParam) {
+        const {mesh, r_wind_order, wind_r, humidity_r} = this;
+        const {numRegions, _s_of_r, _halfedges} = mesh;
+        // r_wind_order won't be sorted by wind_angle_deg anymore
+        this.windAngleDeg = Infinity;
+
+        function isUpwind(r: number, r_neighbor: number): boolean {
+            if (mesh.is_ghost_r(r) || mesh.is_ghost_r(r_neighbor)) return false;
+            let dx = wrapDx(mesh, mesh.x_of_r(r_neighbor) - mesh.x_of_r(r)),
+                dy = mesh.y_of_r(r_neighbor) - mesh.y_of_r(r);
+            return dx * (wind_r[2*r] + wind_r[2*r_neighbor]) + dy * (wind_r[2*r + 1] + wind_r[2*r_neighbor + 1]) < 0;
+        }
+
+        let upwind_count_r = new Int32Array(numRegions);
+        for (let r = 0; r < numRegions; r++) {
+            const s0 = _s_of_r[r];
+            let s_incoming = s0;
+            do {
+                if (isUpwind(r, mesh.r_begin_s(s_incoming))) { upwind_count_r[r]++; }
+                s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+            } while (s_incoming !== s0);
+        }
+        const QUEUED = -1;
+        let queue_in = 0, r_next = 0;
+        let walk_r = new Int32Array(numRegions), walk = 0;
+        for (let r = 0; r < numRegions; r++) {
+            if (upwind_count_r[r] === 0) {
+                r_wind_order[queue_in++] = r;
+                upwind_count_r[r] = QUEUED;
+            }
+        }
+        for (let queue_out = 0; queue_out < numRegions; queue_out++) {
+            if (queue_out === queue_in) {
+                /* Every region left has an upwind neighbor that's also
+                 * left, so going upwind from any of them comes back
+                 * around to a region on a circle */
+                while (upwind_count_r[r_next] === QUEUED) { r_next++; }
+                let r = r_next;
+                walk++;
+                while (walk_r[r] !== walk) {
+                    walk_r[r] = walk;
+                    const s0 = _s_of_r[r];
+                    let s_incoming = s0;
+                    do {
+                        let r_neighbor = mesh.r_begin_s(s_incoming);
+                        if (upwind_count_r[r_neighbor] !== QUEUED && isUpwind(r, r_neighbor)) {
+                            r = r_neighbor;
+                            break;
+                        }
+                        s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+                    } while (s_incoming !== s0);
+                }
+                r_wind_order[queue_in++] = r;
+                upwind_count_r[r] = QUEUED;
+            }
+            let r_current = r_wind_order[queue_out];
+            const s0 = _s_of_r[r_current];
+            let s_incoming = s0;
+            do {
+                let r_neighbor = mesh.r_begin_s(s_incoming);
+                if (upwind_count_r[r_neighbor] !== QUEUED && isUpwind(r_neighbor, r_current)
+                    && --upwind_count_r[r_neighbor] === 0) {
+                    r_wind_order[queue_in++] = r_neighbor;
+                    upwind_count_r[r_neighbor] = QUEUED;
+                }
+                s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+            } while (s_incoming !== s0);
+        }
+
+        humidity_r.fill(0);
+        this.sweepWind(rainfallParam, isUpwind);
+        this.sweepWind(rainfallParam, isUpwind);
+    }
+
+    /* One pass of the wind across the map, in r_wind_order, carrying
+     * humidity from the upwind regions and dropping it as rain */
+    sweepWind(rainfallParam, isUpwind: (r: number, r_neighbor: number) => boolean) {
+        const {mesh, r_wind_order, humidity_r, rainfall_r, elevation_r} = this;
+        const {_s_of_r, _halfedges} = mesh;
         for (let r of r_wind_order) {
             let count = 0, sum = 0.0;
             let s0 = _s_of_r[r], s_incoming = s0;
             do {
                 let r_neighbor = mesh.r_begin_s(s_incoming);
-                if (wind_sort_r[r_neighbor] < wind_sort_r[r]) {
+                if (isUpwind(r, r_neighbor)) {
                     count++;
                     sum += humidity_r[r_neighbor];
                 }
@@ -270,18 +611,18 @@ export default class Map {
             let humidity = 0.0, rainfall = 0.0;
             if (count > 0) {
                 humidity = sum / count;
-                rainfall += biomesParam.raininess * humidity;
+                rainfall += rainfallParam.raininess * humidity;
             }
             if (mesh.is_boundary_r(r)) {
                 humidity = 1.0;
             }
             if (elevation_r[r] < 0.0) {
-                let evaporation = biomesParam.evaporation * -elevation_r[r];
+                let evaporation = rainfallParam.evaporation * -elevation_r[r];
                 humidity += evaporation;
             }
             if (humidity > 1.0 - elevation_r[r]) {
-                let orographicRainfall = biomesParam.rain_shadow * (humidity - (1.0 - elevation_r[r]));
-                rainfall += biomesParam.raininess * orographicRainfall;
+                let orographicRainfall = rainfallParam.rain_shadow * (humidity - (1.0 - elevation_r[r]));
+                rainfall += rainfallParam.raininess * orographicRainfall;
                 humidity -= orographicRainfall;
             }
             rainfall_r[r] = rainfall;
@@ -289,15 +630,493 @@ export default class Map {
         }
     }
 
-    assignRivers(riversParam) {
+    /**
+     * Optional erosion stage, run after the rainfall is known and
+     * before the rivers. Each iteration recalculates the flow over
+     * the eroded terrain. The region elevations are recalculated at
+     * the end, so the biomes and rendering use the eroded terrain.
+     */
+    assignErosion(erosionParam) {
+        const iterations = Math.round(erosionParam.iterations);
+        if (iterations <= 0) return;
+        let {mesh, elevation_t, moisture_t, rainfall_r, s_downslope_t, t_order, flow_t} = this;
+        let sediment_t = new Float32Array(mesh.numTriangles);
+        let delta_t = new Float32Array(mesh.numTriangles);
+        assignMoisture(mesh, rainfall_r, moisture_t);
+        for (let i = 0; i < iterations; i++) {
+            assignDownslope(mesh, elevation_t, s_downslope_t, t_order);
+            accumulateFlow(mesh, 1.0, t_order, elevation_t, moisture_t, s_downslope_t, flow_t);
+            erodeHydraulic(mesh, erosionParam, t_order, s_downslope_t, flow_t, sediment_t, elevation_t);
+            erodeThermal(mesh, erosionParam, delta_t, elevation_t);
+        }
+        this.assignRegionElevation();
+    }
+
+    /**
+     * Mean temperature in °C. The latitude goes from latitude_north
+     * at the top of the map to latitude_south at the bottom, and the
+     * air gets colder with altitude (lapse_rate is °C per unit of
+     * elevation). The ocean's temperature is halfway to the map's
+     * middle latitude, because currents move heat around, and near
+     * the coast the land's temperature is pulled towards it.
+     */
+    assignTemperature(climateParam) {
+        const {mesh, spacing, elevation_r, elevation_t, temperature_r, temperature_t} = this;
+        const {numRegions, numSolidRegions, numTriangles, _s_of_r, _halfedges} = mesh;
+        const {latitude_north, latitude_south, lapse_rate, coastal_moderation} = climateParam;
+        /* Distance (map units) over which the ocean's influence falls off */
+        const COAST_RANGE = 50;
+
+        function temperatureAtLatitude(y: number): number {
+            let latitude = latitude_north + (latitude_south - latitude_north) * clamp(y / mesh.height, 0, 1);
+            return -25 + 52 * Math.cos(Math.PI / 180 * latitude);
+        }
+        const middleTemperature = temperatureAtLatitude(mesh.height / 2);
+
+        // Breadth first search from the water to find the distance to the coast
+        let coast_distance_r = new Int32Array(numRegions).fill(-1);
+        let r_queue: number[] = [];
+        for (let r = 0; r < numSolidRegions; r++) {
+            if (elevation_r[r] < 0.0) {
+                coast_distance_r[r] = 0;
+                r_queue.push(r);
+            }
+        }
+        for (let i = 0; i < r_queue.length; i++) {
+            let r_current = r_queue[i];
+            const s0 = _s_of_r[r_current];
+            let s_incoming = s0;
+            do {
+                let r_neighbor = mesh.r_begin_s(s_incoming);
+                if (coast_distance_r[r_neighbor] === -1 && !mesh.is_ghost_r(r_neighbor)) {
+                    coast_distance_r[r_neighbor] = coast_distance_r[r_current] + 1;
+                    r_queue.push(r_neighbor);
+                }
+                s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+            } while (s_incoming !== s0);
+        }
+
+        // Sea level temperature first, then the altitude
+        let sealevel_r = temperature_r;
+        sealevel_r.fill(middleTemperature); // for the ghost region
+        for (let r = 0; r < numSolidRegions; r++) {
+            let latitudeTemperature = temperatureAtLatitude(mesh.y_of_r(r));
+            let oceanTemperature = Math.max(-2, 0.5 * (latitudeTemperature + middleTemperature));
+            let distance = coast_distance_r[r];
+            let moderation = distance < 0 ? 0 : coastal_moderation * Math.exp(-distance * spacing / COAST_RANGE);
+            if (distance === 0) moderation = 1;
+            sealevel_r[r] = latitudeTemperature + moderation * (oceanTemperature - latitudeTemperature);
+        }
+        for (let t = 0; t < numTriangles; t++) {
+            let s0 = 3*t;
+            let sealevel = 1/3 * (sealevel_r[mesh.r_begin_s(s0)] + sealevel_r[mesh.r_begin_s(s0+1)] + sealevel_r[mesh.r_begin_s(s0+2)]);
+            temperature_t[t] = sealevel - lapse_rate * Math.max(0.0, elevation_t[t]);
+        }
+        for (let r = 0; r < numRegions; r++) {
+            temperature_r[r] = sealevel_r[r] - lapse_rate * Math.max(0.0, elevation_r[r]);
+        }
+    }
+
+    /**
+     * Classify each region into a biome using temperature and
+     * rainfall. The table can be overridden with biomesParam.table.
+     */
+    assignBiomes(biomesParam) {
+        const {mesh, elevation_r, temperature_r, rainfall_r, biome_r} = this;
+        const biomeAt = makeBiomeLookup(biomesParam.table ?? defaultBiomeTable);
+        for (let r = 0; r < mesh.numRegions; r++) {
+            let water = elevation_r[r] < 0.0 || mesh.is_ghost_r(r);
+            biome_r[r] = water ? OCEAN : biomeAt(temperature_r[r], rainfall_r[r]);
+        }
+    }
+
+    assignRivers(riversParam, elevationParam) {
         let {mesh, moisture_t, rainfall_r, elevation_t, s_downslope_t, t_order, flow_t, flow_s} = this;
+        // When the rivers run again on the same elevation, they start
+        // from the elevation before the previous carving
+        if (this.carved) {
+            elevation_t.set(this.uncarved_elevation_t);
+        } else {
+            this.uncarved_elevation_t.set(elevation_t);
+        }
         assignDownslope(mesh, elevation_t, s_downslope_t, t_order);
         assignMoisture(mesh, rainfall_r, moisture_t);
+        this.lake_t.fill(-1);
+        this.t_outlet_lake = [];
+        this.elevation_lake = [];
+        if (riversParam.lakes >= 0.5) {
+            this.assignLakes(riversParam, elevationParam.hill_height);
+        }
+        assignFlow(mesh, riversParam, t_order, elevation_t, moisture_t, s_downslope_t, flow_t, flow_s);
+        this.carved = true;
+    }
+
+    /**
+     * Like assignRivers, after assignElevationInRect changed only the
+     * triangles in t_changed, in one or more calls since the rivers
+     * were last assigned. The priority flood runs again only in
+     * the drainage basins that contain those triangles or their
+     * neighbors; the other basins keep their flow directions. This
+     * doesn't handle lakes.
+     *
+     * The flow directions can differ from what assignRivers would
+     * make, because in the full priority flood, the triangles around
+     * the affected basins can go into them, and the ties between
+     * equal elevations can go the other way. So the result depends
+     * on the order of the changes, and the caller has to run
+     * assignRivers once the changes stop.
+     *
+     * Returns false if it has to be a full update instead, because
+     * the basins cover too much of the map. Then the caller has to
+     * run assignRivers.
+     */
+    assignRiversInRect(riversParam, t_changed: Int32Array): boolean {
+        let {mesh, moisture_t, rainfall_r, elevation_t, uncarved_elevation_t, s_downslope_t, t_order, flow_t, flow_s} = this;
+        let {numTriangles} = mesh;
+
+        /* Each drainage basin flows into the deep ocean triangle where
+         * the flood reached it. Parents are earlier in t_order. This is
+         * the previous flood, so it uses uncarved_elevation_t, which
+         * still has the elevations from before the change. */
+        let basin_t = new Int32Array(numTriangles);
+        for (let t of t_order) {
+            basin_t[t] = uncarved_elevation_t[t] < DEEP_OCEAN ? t : basin_t[mesh.t_outer_s(s_downslope_t[t])];
+        }
+        let affected_basin = new Uint8Array(numTriangles);
+        for (let t of t_changed) {
+            affected_basin[basin_t[t]] = 1;
+            if (elevation_t[t] < DEEP_OCEAN) { s_downslope_t[t] = deepOceanDownslope(mesh, elevation_t, t); }
+            for (let j = 0; j < 3; j++) {
+                let t_neighbor = mesh.t_outer_s(3*t + j);
+                affected_basin[basin_t[t_neighbor]] = 1;
+                if (elevation_t[t_neighbor] < DEEP_OCEAN) { s_downslope_t[t_neighbor] = deepOceanDownslope(mesh, elevation_t, t_neighbor); }
+            }
+        }
+        let numAffected = 0;
+        for (let t = 0; t < numTriangles; t++) {
+            if (elevation_t[t] >= DEEP_OCEAN && affected_basin[basin_t[t]]) {
+                s_downslope_t[t] = -999;
+                numAffected++;
+            }
+        }
+        if (numAffected > numTriangles / 2) return false;
+
+        /* Keep the rest of t_order, then flood the affected basins
+         * from all the deep ocean triangles next to them. Triangles
+         * that became deep ocean stay where they were in t_order,
+         * which is fine because the flood doesn't go through them. */
+        let queue_in = 0;
+        for (let i = 0; i < numTriangles; i++) {
+            let t = t_order[i];
+            if (s_downslope_t[t] !== -999) { t_order[queue_in++] = t; }
+        }
+        let seeded_t = affected_basin; // reuse the array
+        seeded_t.fill(0);
+        for (let t = 0; t < numTriangles; t++) {
+            if (s_downslope_t[t] !== -999) continue;
+            for (let j = 0; j < 3; j++) {
+                let t_neighbor = mesh.t_outer_s(3*t + j);
+                if (elevation_t[t_neighbor] < DEEP_OCEAN && !seeded_t[t_neighbor]) {
+                    seeded_t[t_neighbor] = 1;
+                    queue.push(t_neighbor, elevation_t[t_neighbor]);
+                }
+            }
+        }
+        while (queue.length > 0) {
+            let t_current = queue.pop();
+            for (let j = 0; j < 3; j++) {
+                let s = 3 * t_current + j;
+                let t_neighbor = mesh.t_outer_s(s);
+                if (s_downslope_t[t_neighbor] === -999) {
+                    s_downslope_t[t_neighbor] = mesh.s_opposite_s(s);
+                    t_order[queue_in++] = t_neighbor;
+                    queue.push(t_neighbor, elevation_t[t_neighbor]);
+                }
+            }
+        }
+        if (queue_in !== numTriangles) return false;
+
+        this.uncarved_elevation_t.set(elevation_t);
+        assignMoisture(mesh, rainfall_r, moisture_t);
         assignFlow(mesh, riversParam, t_order, elevation_t, moisture_t, s_downslope_t, flow_t, flow_s);
+        this.carved = true;
+        return true;
+    }
+
+    /**
+     * Without lakes, assignFlow carves a path from every depression
+     * to the ocean. With lakes, the depressions fill up with water to
+     * the level of their spill point, and the water surface is flat.
+     *
+     * If a lake evaporates more than flows into it, it has no outlet
+     * (an endorheic basin), and its level drops until evaporation
+     * matches the inflow. The lowest triangles of a closed lake
+     * become sinks, so the rivers in its basin end there.
+     *
+     * The hills make depressions up to about hillHeight deep
+     * everywhere, so only the deeper ones become lakes.
+     */
+    assignLakes(riversParam, hillHeight: number) {
+        let {mesh, moisture_t, elevation_t, elevation_r, s_downslope_t, t_order, lake_t, t_outlet_lake, elevation_lake} = this;
+        let {numTriangles, numSolidRegions, _s_of_r, _halfedges} = mesh;
+
+        /* The water level of a triangle is the highest elevation on
+         * its path to the ocean. The priority flood in assignDownslope
+         * makes this the lowest possible spill point. The parents are
+         * earlier in t_order, except for deep ocean triangles, which
+         * are never lakes. */
+        let level_t = new Float32Array(numTriangles).fill(-Infinity);
+        let t_entry_depression: number[] = [];
+        for (let t of t_order) {
+            let s = s_downslope_t[t];
+            let t_parent = s >= 0 ? mesh.t_outer_s(s) : -1;
+            level_t[t] = Math.max(elevation_t[t], t_parent >= 0 ? level_t[t_parent] : -Infinity);
+            if (level_t[t] > elevation_t[t] && level_t[t] >= 0.0) {
+                if (t_parent >= 0 && lake_t[t_parent] >= 0) {
+                    lake_t[t] = lake_t[t_parent];
+                } else {
+                    lake_t[t] = t_entry_depression.length;
+                    t_entry_depression.push(t);
+                }
+            }
+        }
+
+        /* The shallow and small depressions are noise from the hills;
+         * leave them for assignFlow to carve through. The depth is
+         * from the spill point down to the lowest triangle, and the
+         * area is in map units, so that it's the same at any mesh
+         * spacing. */
+        const triangleArea = mesh.width * mesh.height / mesh.numSolidTriangles;
+        let t_depression: number[][] = t_entry_depression.map(() => []);
+        let floor_depression = t_entry_depression.map(() => Infinity);
+        for (let t = 0; t < numTriangles; t++) {
+            let depression = lake_t[t];
+            if (depression < 0) continue;
+            t_depression[depression].push(t);
+            floor_depression[depression] = Math.min(floor_depression[depression], elevation_t[t]);
+        }
+        let t_entry_lake: number[] = [];
+        let t_lake: number[][] = [];
+        for (let depression = 0; depression < t_depression.length; depression++) {
+            let triangles = t_depression[depression];
+            let depth = level_t[t_entry_depression[depression]] - floor_depression[depression];
+            let isLake = depth >= Math.max(hillHeight, MIN_LAKE_DEPTH) && triangles.length * triangleArea >= MIN_LAKE_AREA;
+            let lake = isLake ? t_lake.length : -1;
+            for (let t of triangles) { lake_t[t] = lake; }
+            if (lake < 0) continue;
+            t_entry_lake.push(t_entry_depression[depression]);
+            t_lake.push(triangles);
+            elevation_lake.push(level_t[t_entry_depression[depression]]);
+        }
+        if (t_lake.length === 0) return;
+
+        /* Fill the lakes, and then measure how much water reaches each
+         * lake */
+        let floor_t = elevation_t.slice();
+        for (let lake = 0; lake < t_lake.length; lake++) {
+            for (let t of t_lake[lake]) { elevation_t[t] = elevation_lake[lake]; }
+        }
+        let inflow_t = level_t; // reuse the array
+        accumulateFlow(mesh, riversParam.flow, t_order, elevation_t, moisture_t, s_downslope_t, inflow_t);
+
+        /* Evaporation is measured in triangles' worth of rain, so
+         * that it scales along with the flow parameter. A lake's entry
+         * is later in t_order than the entry of any lake it spills
+         * into, so visiting lakes in reverse lets a closed lake take
+         * its water away from the lakes downstream of it. */
+        let evaporationPerTriangle = riversParam.lake_evaporation * riversParam.flow;
+        let sink_t = new Int8Array(numTriangles);
+        for (let lake = t_entry_lake.length-1; lake >= 0; lake--) {
+            let inflow = inflow_t[t_entry_lake[lake]];
+            let triangles = t_lake[lake];
+            if (inflow > evaporationPerTriangle * triangles.length) continue;
+            for (let s = s_downslope_t[t_entry_lake[lake]]; s >= 0; ) {
+                let t = mesh.t_outer_s(s);
+                inflow_t[t] -= inflow;
+                s = s_downslope_t[t];
+            }
+            triangles.sort((t1, t2) => floor_t[t1] - floor_t[t2]);
+            let area = evaporationPerTriangle > 0 ? clamp(Math.floor(inflow / evaporationPerTriangle), 1, triangles.length) : triangles.length;
+            elevation_lake[lake] = Math.max(0.0, floor_t[triangles[area-1]]);
+            for (let i = 0; i < triangles.length; i++) {
+                let t = triangles[i];
+                if (i < area) {
+                    sink_t[t] = 1;
+                    elevation_t[t] = elevation_lake[lake];
+                } else {
+                    lake_t[t] = -1;
+                    elevation_t[t] = floor_t[t];
+                }
+            }
+            triangles.length = area;
+        }
+
+        /* The flat lake surfaces and the closed lakes change the flow
+         * directions, so run the priority flood again */
+        assignDownslope(mesh, elevation_t, s_downslope_t, t_order, sink_t);
+        for (let lake = 0; lake < t_entry_lake.length; lake++) {
+            t_outlet_lake[lake] = -1;
+            for (let t of t_lake[lake]) {
+                let s = s_downslope_t[t];
+                if (s >= 0 && lake_t[mesh.t_outer_s(s)] !== lake) { t_outlet_lake[lake] = t; }
+            }
+        }
+
+        /* Regions surrounded by a lake are on the water surface */
+        for (let r = 0; r < numSolidRegions; r++) {
+            let lake = lake_t[(_s_of_r[r] / 3) | 0];
+            const s0 = _s_of_r[r];
+            let s_incoming = s0;
+            do {
+                if (lake_t[(s_incoming / 3) | 0] !== lake) { lake = -1; }
+                s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+            } while (s_incoming !== s0 && lake >= 0);
+            if (lake >= 0) { elevation_r[r] = elevation_lake[lake]; }
+        }
+    }
+
+    /**
+     * Place settlements on the best sites (see assignSiteScore), no
+     * closer together than min_distance. Then connect each settlement
+     * to the nearest one placed before it with the cheapest road (see
+     * roadCost). Following a road that's already built is cheaper, so
+     * the roads merge into a network instead of running side by side.
+     */
+    assignSettlements(settlementsParam, riversParam) {
+        let {mesh, spacing, elevation_r, rainfall_r, flow_s, lake_t, score_r, r_settlements, roads} = this;
+        let {numSolidRegions, numRegions, numSides} = mesh;
+        const count = Math.round(settlementsParam.count);
+        const minFlow = minRiverFlow(riversParam);
+
+        assignSiteScore(mesh, settlementsParam, minFlow, spacing, elevation_r, rainfall_r, flow_s, lake_t, score_r);
+
+        function distance(r1: number, r2: number): number {
+            return Math.hypot(wrapDx(mesh, mesh.x_of_r(r1) - mesh.x_of_r(r2)), mesh.y_of_r(r1) - mesh.y_of_r(r2));
+        }
+
+        r_settlements.length = 0;
+        let r_sites = Array.from({length: numSolidRegions}, (_, r) => r)
+            .filter(r => score_r[r] > -Infinity)
+            .sort((r1, r2) => score_r[r2] - score_r[r1]);
+        for (let r of r_sites) {
+            if (r_settlements.length >= count) break;
+            if (r_settlements.every(r_other => distance(r, r_other) >= settlementsParam.min_distance)) {
+                r_settlements.push(r);
+            }
+        }
+
+        roads.length = 0;
+        let road_s = new Int8Array(numSides);
+        let cost_r = new Float32Array(numRegions);
+        let s_from_r = new Int32Array(numRegions);
+        const cost = (s: number) => roadCost(mesh, settlementsParam, riversParam, minFlow, spacing, elevation_r, flow_s, lake_t, road_s, s);
+        for (let i = 1; i < r_settlements.length; i++) {
+            let r_start = r_settlements[i];
+            let r_goal = r_settlements[0];
+            for (let j = 1; j < i; j++) {
+                if (distance(r_start, r_settlements[j]) < distance(r_start, r_goal)) { r_goal = r_settlements[j]; }
+            }
+            let path = findRoad(mesh, r_start, r_goal, cost, cost_r, s_from_r);
+            if (path.length === 0) continue;
+            for (let j = 1; j < path.length; j++) {
+                let s = s_from_r[path[j]];
+                road_s[s] = 1;
+                road_s[mesh.s_opposite_s(s)] = 1;
+            }
+            roads.push(path);
+        }
+    }
+
+    /**
+     * Divide the land into territories, each grown from a capital by
+     * a flood fill that prefers cheap sides (see borderCost), so the
+     * borders end up along mountain ridges and big rivers. The
+     * capitals are the best settlements; if there are more
+     * territories than settlements, each extra capital goes on the
+     * site that's most expensive to reach from the existing ones.
+     * Water regions don't belong to any territory (-1).
+     */
+    assignTerritories(territoriesParam, riversParam) {
+        let {mesh, spacing, elevation_r, elevation_t, mountain_distance_t, flow_s, score_r, r_settlements, r_capitals, territory_r} = this;
+        let {numSolidRegions, numRegions, _s_of_r, _halfedges} = mesh;
+        const count = Math.round(territoriesParam.nations);
+        const minFlow = minRiverFlow(riversParam);
+
+        // Float64 to match the priorities in the queue
+        let cost_r = new Float64Array(numRegions).fill(Infinity);
+        territory_r.fill(-1);
+        r_capitals.length = 0;
+
+        // Growing the territories one at a time, each one taking over
+        // the regions it reaches more cheaply than the earlier ones,
+        // gives the same result as growing them all at once
+        function grow(r_capital: number) {
+            let territory = r_capitals.length;
+            r_capitals.push(r_capital);
+            cost_r[r_capital] = 0;
+            territory_r[r_capital] = territory;
+            queue.clear();
+            queue.push(r_capital, 0);
+            while (queue.length > 0) {
+                let currentCost = queue.peekValue();
+                let r_current = queue.pop();
+                if (currentCost > cost_r[r_current]) continue; // already reached more cheaply
+                const s0 = _s_of_r[r_current];
+                let s_incoming = s0;
+                do {
+                    let s = mesh.s_next_s(s_incoming); // outgoing from r_current
+                    let r_neighbor = mesh.r_end_s(s);
+                    let newCost = currentCost + borderCost(mesh, territoriesParam, riversParam, minFlow, spacing, elevation_r, elevation_t, mountain_distance_t, flow_s, s);
+                    if (newCost < cost_r[r_neighbor]) {
+                        cost_r[r_neighbor] = newCost;
+                        territory_r[r_neighbor] = territory;
+                        queue.push(r_neighbor, newCost);
+                    }
+                    s_incoming = _halfedges[s];
+                } while (s_incoming !== s0);
+            }
+            queue.clear();
+        }
+
+        for (let r of r_settlements.slice(0, count)) { grow(r); }
+        while (r_capitals.length < count) {
+            // With no capitals yet, every cost is Infinity, so this
+            // picks the best site
+            let r_next = -1;
+            for (let r = 0; r < numSolidRegions; r++) {
+                if (score_r[r] === -Infinity) continue;
+                if (r_next < 0 || cost_r[r] > cost_r[r_next]
+                    || (cost_r[r] === cost_r[r_next] && score_r[r] > score_r[r_next])) {
+                    r_next = r;
+                }
+            }
+            if (r_next < 0 || cost_r[r_next] === 0) break;
+            grow(r_next);
+        }
+
+        for (let r = 0; r < numSolidRegions; r++) {
+            if (elevation_r[r] < 0.0) { territory_r[r] = -1; }
+        }
     }
 }
 
 
+/* The priority flood starts from the triangles deeper than this */
+export const DEEP_OCEAN = -0.1;
+
+function deepOceanDownslope(mesh: Mesh, elevation_t: Float32Array, t: number): number {
+    let s_best = -1, e_best = elevation_t[t];
+    for (let j = 0; j < 3; j++) {
+        let s = 3 * t + j,
+        e = elevation_t[mesh.t_outer_s(s)];
+        if (e < e_best) {
+            e_best = e;
+            s_best = s;
+        }
+    }
+    return s_best;
+}
+
 let queue = new FlatQueue<number>();
 /**
  * Use prioritized graph exploration to assign river flow direction
@@ -306,27 +1125,23 @@ let queue = new FlatQueue<number>();
  * roots of the tree always get visited before leaves; use reverse to
  * visit leaves before roots
  */
-function assignDownslope(mesh: Mesh, elevation_t: Float32Array, /* out */ s_downslope_t: Int32Array, /* out */ t_order: Int32Array) {
+function assignDownslope(mesh: Mesh, elevation_t: Float32Array, /* out */ s_downslope_t: Int32Array, /* out */ t_order: Int32Array, sink_t: Int8Array | null = null) {
     /* Use a priority queue, starting with the ocean triangles and
      * moving upwards using elevation as the priority, to visit all
-     * the land triangles */
+     * the land triangles. Sink triangles (closed lakes) are also
+     * starting points, but they don't flow anywhere. */
     let {numTriangles} = mesh,
         queue_in = 0;
     s_downslope_t.fill(-999);
     /* Part 1: non-shallow ocean triangles get downslope assigned to the lowest neighbor */
     for (let t = 0; t < numTriangles; t++) {
-        if (elevation_t[t] < -0.1) {
-            let s_best = -1, e_best = elevation_t[t];
-            for (let j = 0; j < 3; j++) {
-                let s = 3 * t + j,
-                e = elevation_t[mesh.t_outer_s(s)];
-                if (e < e_best) {
-                    e_best = e;
-                    s_best = s;
-                }
-            }
+        if (elevation_t[t] < DEEP_OCEAN) {
+            t_order[queue_in++] = t;
+            s_downslope_t[t] = deepOceanDownslope(mesh, elevation_t, t);
+            queue.push(t, elevation_t[t]);
+        } else if (sink_t && sink_t[t]) {
             t_order[queue_in++] = t;
-            s_downslope_t[t] = s_best;
+            s_downslope_t[t] = -1;
             queue.push(t, elevation_t[t]);
         }
     }
@@ -346,6 +1161,91 @@ function assignDownslope(mesh: Mesh, elevation_t: Float32Array, /* out */ s_down
 }
 
 
+/**
+ * Add up the water flowing into each triangle, the same way as
+ * assignFlow, but without carving the river paths
+ */
+function accumulateFlow(mesh: Mesh, flow: number, t_order: Int32Array, elevation_t: Float32Array, moisture_t: Float32Array, s_downslope_t: Int32Array, /* out */ flow_t: Float32Array) {
+    let {numTriangles, _halfedges} = mesh;
+    for (let t = 0; t < numTriangles; t++) {
+        flow_t[t] = elevation_t[t] >= 0.0 ? flow * moisture_t[t] * moisture_t[t] : 0;
+    }
+    for (let i = t_order.length-1; i >= 0; i--) {
+        let t = t_order[i];
+        let s = s_downslope_t[t];
+        if (s >= 0) { flow_t[(_halfedges[s] / 3) | 0] += flow_t[t]; }
+    }
+}
+
+
+/**
+ * Stream power erosion: the water flowing out of a triangle can carry
+ * sediment in proportion to sqrt(flow) × slope. Where it carries
+ * less than that, it erodes the triangle, and where it carries more
+ * (the slope flattens out), it deposits some of the sediment. The
+ * sediment that reaches the ocean is lost.
+ */
+function erodeHydraulic(mesh: Mesh, erosionParam: any, t_order: Int32Array, s_downslope_t: Int32Array, flow_t: Float32Array, /* scratch */ sediment_t: Float32Array, /* in/out */ elevation_t: Float32Array) {
+    const {numSolidTriangles} = mesh;
+    const {erodibility, deposition} = erosionParam;
+    sediment_t.fill(0);
+    for (let i = t_order.length-1; i >= 0; i--) {
+        let t = t_order[i];
+        let s = s_downslope_t[t];
+        if (s < 0 || t >= numSolidTriangles || elevation_t[t] < 0.0) continue;
+        let t_downslope = mesh.t_outer_s(s);
+        // don't erode below the triangle downslope or below sea level
+        let drop = Math.max(0, elevation_t[t] - Math.max(0.0, elevation_t[t_downslope]));
+        let capacity = Math.sqrt(flow_t[t]) * drop;
+        let sediment = sediment_t[t];
+        if (sediment < capacity) {
+            let erosion = Math.min(erodibility * (capacity - sediment), drop);
+            elevation_t[t] -= erosion;
+            sediment += erosion;
+        } else {
+            let deposit = deposition * (sediment - capacity);
+            elevation_t[t] += deposit;
+            sediment -= deposit;
+        }
+        sediment_t[t_downslope] += sediment;
+    }
+}
+
+
+/**
+ * Thermal erosion: where the land is steeper than the talus angle,
+ * material slides down to the neighboring triangle. This only moves
+ * material between land triangles, so it doesn't change coastlines.
+ */
+function erodeThermal(mesh: Mesh, erosionParam: any, /* scratch */ delta_t: Float32Array, /* in/out */ elevation_t: Float32Array) {
+    const {numSolidTriangles} = mesh;
+    /* Elevation 1.0 is drawn as tall as this many map units (see the
+     * default mountain_height render parameter) */
+    const VERTICAL_SCALE = 50;
+    /* Moving a quarter of the excess at a time keeps a triangle from
+     * overshooting when it's too steep on several sides */
+    const RATE = 0.25;
+    const maxSlope = Math.tan(Math.PI / 180 * erosionParam.talus_angle) / VERTICAL_SCALE;
+    delta_t.fill(0);
+    for (let t = 0; t < numSolidTriangles; t++) {
+        if (elevation_t[t] < 0.0) continue;
+        for (let j = 0; j < 3; j++) {
+            let t_neighbor = mesh.t_outer_s(3 * t + j);
+            if (t_neighbor >= numSolidTriangles || elevation_t[t_neighbor] < 0.0) continue;
+            let distance = Math.hypot(wrapDx(mesh, mesh.x_of_t(t) - mesh.x_of_t(t_neighbor)), mesh.y_of_t(t) - mesh.y_of_t(t_neighbor));
+            let excess = elevation_t[t] - elevation_t[t_neighbor] - maxSlope * distance;
+            if (excess > 0) {
+                delta_t[t] -= RATE * excess;
+                delta_t[t_neighbor] += RATE * excess;
+            }
+        }
+    }
+    for (let t = 0; t < numSolidTriangles; t++) {
+        elevation_t[t] += delta_t[t];
+    }
+}
+
+
 function assignMoisture(mesh: Mesh, rainfall_r: Float32Array, /* out */ moisture_t: Float32Array) {
     const {numTriangles} = mesh;
     for (let t = 0; t < numTriangles; t++) {
@@ -383,3 +1283,143 @@ function assignFlow(mesh: Mesh, riversParam: any, t_order: Int32Array, elevation
         }
     }
 }
+
+
+/**
+ * How good a site each land region is for a settlement: near a river
+ * (more for a bigger river), on the coast or a lake shore, with
+ * enough rain, and not steep. Regions that can't have a settlement
+ * get -Infinity.
+ */
+function assignSiteScore(mesh: Mesh, settlementsParam: any, minFlow: number, spacing: number, elevation_r: Float32Array, rainfall_r: Float32Array, flow_s: Float32Array, lake_t: Int32Array, /* out */ score_r: Float32Array) {
+    const {numSolidRegions, _s_of_r, _halfedges, length_s} = mesh;
+    const {site_river, site_coast, site_rainfall, site_slope} = settlementsParam;
+    let maxFlow = minFlow;
+    for (let s = 0; s < flow_s.length; s++) { maxFlow = Math.max(maxFlow, flow_s[s]); }
+
+    score_r.fill(-Infinity);
+    for (let r = 0; r < numSolidRegions; r++) {
+        if (elevation_r[r] < 0.0 || mesh.is_boundary_r(r)) continue;
+        let flow = 0, coast = 0, grade = 0, numLakeSides = 0, numSides = 0;
+        const s0 = _s_of_r[r];
+        let s_incoming = s0;
+        do {
+            let r_neighbor = mesh.r_begin_s(s_incoming);
+            flow = Math.max(flow, flow_s[s_incoming], flow_s[_halfedges[s_incoming]]);
+            if (elevation_r[r_neighbor] < 0.0) { coast = 1; }
+            if (lake_t[mesh.t_inner_s(s_incoming)] >= 0) { coast = 1; numLakeSides++; }
+            grade = Math.max(grade, Math.abs(elevation_r[r_neighbor] - elevation_r[r]) * spacing / length_s[s_incoming]);
+            numSides++;
+            s_incoming = _halfedges[mesh.s_next_s(s_incoming)];
+        } while (s_incoming !== s0);
+        if (numLakeSides === numSides) continue; // on the lake surface
+
+        let river = flow >= minFlow && maxFlow > minFlow ? Math.log(flow / minFlow) / Math.log(maxFlow / minFlow) : 0;
+        score_r[r] = site_river * river
+            + site_coast * coast
+            + site_rainfall * clamp(rainfall_r[r], 0, 1)
+            - site_slope * Math.min(1, grade / MAX_SITE_GRADE);
+    }
+}
+
+
+/**
+ * The cost of a road along side s, from r_begin_s(s) to r_end_s(s).
+ * It's the length, longer for steep slopes, with a ferry across water
+ * and a bridge over rivers.
+ */
+function roadCost(mesh: Mesh, settlementsParam: any, riversParam: any, minFlow: number, spacing: number, elevation_r: Float32Array, flow_s: Float32Array, lake_t: Int32Array, road_s: Int8Array, s: number): number {
+    let r1 = mesh.r_begin_s(s), r2 = mesh.r_end_s(s);
+    if (mesh.is_ghost_r(r2)) return Infinity;
+    let length = mesh.length_s[s];
+    let water = elevation_r[r1] < 0.0 || elevation_r[r2] < 0.0
+        || (lake_t[mesh.t_inner_s(s)] >= 0 && lake_t[mesh.t_outer_s(s)] >= 0);
+    let cost;
+    if (water) {
+        cost = length * settlementsParam.road_water;
+    } else {
+        let grade = Math.abs(elevation_r[r2] - elevation_r[r1]) * spacing / length;
+        cost = length * (1 + settlementsParam.road_slope * grade);
+        let flow = Math.max(flow_s[s], flow_s[mesh.s_opposite_s(s)]);
+        if (flow >= minFlow) {
+            cost += settlementsParam.road_bridge * (spacing + riverWidth(flow, spacing, riversParam));
+        }
+    }
+    if (road_s[s]) { cost *= ROAD_REUSE; }
+    return cost;
+}
+
+
+/**
+ * The cost for a territory to grow along side s, from r_begin_s(s)
+ * into r_end_s(s): the length, more where it crosses a mountain ridge
+ * (high land near a peak) or a river (more for a wider river).
+ * Territories grow across water to reach islands, at a higher cost.
+ */
+function borderCost(mesh: Mesh, territoriesParam: any, riversParam: any, minFlow: number, spacing: number, elevation_r: Float32Array, elevation_t: Float32Array, mountain_distance_t: Float32Array, flow_s: Float32Array, s: number): number {
+    let r1 = mesh.r_begin_s(s), r2 = mesh.r_end_s(s);
+    if (mesh.is_ghost_r(r2)) return Infinity;
+    let length = mesh.length_s[s];
+    if (elevation_r[r1] < 0.0 || elevation_r[r2] < 0.0) {
+        return length * territoriesParam.border_water;
+    }
+    // The side between two regions is crossed at the Voronoi edge
+    // between its two triangles
+    function ridge(t: number): number {
+        return Math.max(0.0, elevation_t[t]) * Math.max(0, 1 - mountain_distance_t[t] / (RIDGE_WIDTH * spacing));
+    }
+    let cost = length * (1 + territoriesParam.border_mountain * Math.max(ridge(mesh.t_inner_s(s)), ridge(mesh.t_outer_s(s))));
+    let flow = Math.max(flow_s[s], flow_s[mesh.s_opposite_s(s)]);
+    if (flow >= minFlow) {
+        cost += territoriesParam.border_river * riverWidth(flow, spacing, riversParam);
+    }
+    return cost;
+}
+
+
+/**
+ * A* over the regions from r_start to r_goal. Returns the regions on
+ * the cheapest path, or an empty array if there isn't one. Afterwards
+ * s_from_r[r] is the side the path took to reach r. No side costs less
+ * than ROAD_REUSE times its length (road_water and the slope factor
+ * are at least 1), so that times the distance is the heuristic.
+ */
+function findRoad(mesh: Mesh, r_start: number, r_goal: number, cost: (s: number) => number, /* scratch */ cost_r: Float32Array, /* out */ s_from_r: Int32Array): number[] {
+    const {_s_of_r, _halfedges} = mesh;
+    const x_goal = mesh.x_of_r(r_goal), y_goal = mesh.y_of_r(r_goal);
+    function heuristic(r: number): number {
+        return ROAD_REUSE * Math.hypot(wrapDx(mesh, mesh.x_of_r(r) - x_goal), mesh.y_of_r(r) - y_goal);
+    }
+
+    cost_r.fill(Infinity);
+    s_from_r.fill(-1);
+    queue.clear();
+    cost_r[r_start] = 0;
+    queue.push(r_start, heuristic(r_start));
+    while (queue.length > 0) {
+        let r_current = queue.pop();
+        if (r_current === r_goal) break;
+        const s0 = _s_of_r[r_current];
+        let s_incoming = s0;
+        do {
+            let s = mesh.s_next_s(s_incoming); // outgoing from r_current
+            let r_neighbor = mesh.r_end_s(s);
+            let newCost = cost_r[r_current] + cost(s);
+            if (newCost < cost_r[r_neighbor]) {
+                cost_r[r_neighbor] = newCost;
+                s_from_r[r_neighbor] = s;
+                queue.push(r_neighbor, newCost + heuristic(r_neighbor));
+            }
+            s_incoming = _halfedges[s];
+        } while (s_incoming !== s0);
+    }
+    queue.clear();
+
+    if (s_from_r[r_goal] < 0) return [];
+    let path = [r_goal];
+    for (let r = r_goal; r !== r_start; ) {
+        r = mesh.r_begin_s(s_from_r[r]);
+        path.push(r);
+    }
+    return path.reverse();
+}
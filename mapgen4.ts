@@ -14,73 +14,42 @@
  */
 
 import param from "./config.js";
-import {makeMesh} from "./mesh.ts";
+import {initialParams, defaultParam} from "./params.ts";
+import {makeMesh, MESH_SPACINGS} from "./mesh.ts";
 import Painting from "./painting.ts";
 import Renderer from "./render.ts";
+import Overlay from "./overlay.ts";
+import {toProjectFile, fromProjectFile, type Project} from "./project.ts";
+import {parsePalette, type Palette} from "./colormap.ts";
+import {PALETTES} from "./palettes.ts";
+import type {MeshOptions} from "./export-mesh.ts";
+import {BIOMES} from "./biomes.ts";
 import type {Mesh} from "./types.d.ts";
 
-
-
-// each parameter is [initial value, low, high]
-const initialParams = {
-    elevation: [
-        ['seed', 187, 1, 1 << 30],
-        ['island', 0.5, 0, 1],
-        ['noisy_coastlines', 0.01, 0, 0.1],
-        ['hill_height', 0.02, 0, 0.1],
-        ['mountain_jagged', 0, 0, 1],
-        ['mountain_sharpness', 9.8, 9.1, 12.5],
-        ['mountain_folds', 0.05, 0.0, 0.5],
-        ['ocean_depth', 1.40, 1, 3],
-    ],
-    biomes: [
-        ['wind_angle_deg', 0, 0, 360],
-        ['raininess', 0.9, 0, 2],
-        ['rain_shadow', 0.5, 0.1, 2],
-        ['evaporation', 0.5, 0, 1],
-    ],
-    rivers: [
-        ['lg_min_flow', 2.7, -5, 5],
-        ['lg_river_width', -2.4, -5, 5],
-        ['flow', 0.2, 0, 1],
-    ],
-    render: [
-        ['zoom', 100/480, 100/1000, 100/50],
-        ['x', 500, 0, 1000],
-        ['y', 500, 0, 1000],
-        ['light_angle_deg', 80, 0, 360],
-        ['slope', 2, 0, 5],
-        ['flat', 2.5, 0, 5],
-        ['ambient', 0.25, 0, 1],
-        ['overhead', 30, 0, 60],
-        ['tilt_deg', 0, 0, 90],
-        ['rotate_deg', 0, -180, 180],
-        ['mountain_height', 50, 0, 250],
-        ['outline_depth', 1, 0, 2],
-        ['outline_strength', 15, 0, 30],
-        ['outline_threshold', 0, 0, 100],
-        ['outline_coast', 0, 0, 1],
-        ['outline_water', 13.0, 0, 20], // things start going wrong when this is high
-        ['biome_colors', 1, 0, 1],
-    ],
-};
-
-    
 /**
  * Starts the UI, once the mesh has been loaded in.
  */
 function main({mesh, t_peaks}: { mesh: Mesh; t_peaks: number[]; }) {
     let render = new Renderer(mesh);
+    const overlayCanvas = document.getElementById('overlay') as HTMLCanvasElement | null;
+    const overlay = overlayCanvas ? new Overlay(overlayCanvas) : null;
+    if (overlay) {
+        render.overlayCallback = (projection, renderParam) => overlay.draw(projection, render.worldSize, render.wrap, renderParam);
+    }
 
-    /* set initial parameters */
-    for (let phase of ['elevation', 'biomes', 'rivers', 'render']) {
+    /* set initial parameters; there's a group of sliders for each
+     * map generator stage that has parameters (see stages.ts) */
+    const sliders: {[phase: string]: {[name: string]: HTMLInputElement}} = {};
+    for (let [phase, schema] of Object.entries(initialParams())) {
+        sliders[phase] = {};
+        if (!param[phase]) { param[phase] = {}; }
+        if (schema.length === 0) continue;
         const container = document.createElement('div');
         const header = document.createElement('h3');
         header.appendChild(document.createTextNode(phase));
         container.appendChild(header);
         document.getElementById('sliders').appendChild(container);
-        for (let [name, initialValue, min, max] of initialParams[phase]) {
-            const step = name === 'seed'? 1 : 0.001;
+        for (let [name, initialValue, min, max, step = 0.001] of schema) {
             param[phase][name] = initialValue;
 
             let span = document.createElement('span');
@@ -88,8 +57,8 @@ function main({mesh, t_peaks}: { mesh: Mesh; t_peaks: number[]; }) {
             
             let slider = document.createElement('input');
             slider.setAttribute('type', name === 'seed'? 'number' : 'range');
-            slider.setAttribute('min', min);
-            slider.setAttribute('max', max);
+            slider.setAttribute('min', min.toString());
+            slider.setAttribute('max', max.toString());
             slider.setAttribute('step', step.toString());
             slider.addEventListener('input', _event => {
                 param[phase][name] = slider.valueAsNumber;
@@ -121,18 +90,44 @@ function main({mesh, t_peaks}: { mesh: Mesh; t_peaks: number[]; }) {
             label.appendChild(slider);
 
             container.appendChild(label);
-            slider.value = initialValue;
+            slider.value = initialValue.toString();
+            sliders[phase][name] = slider;
         }
     }
     
     function redraw() {
+        const legend = document.getElementById('legend');
+        if (legend) { legend.hidden = param.render.biome_ids < 0.5; }
         render.updateView(param.render);
     }
 
+    /* The legend shows the biomes that are on the map, most common first */
+    function updateLegend(biome_r: Uint8Array) {
+        const legend = document.getElementById('legend');
+        if (!legend) return;
+        let count_biome = new Array(BIOMES.length).fill(0);
+        for (let r = 0; r < mesh.numSolidRegions; r++) { count_biome[biome_r[r]]++; }
+        legend.replaceChildren();
+        for (let biome of BIOMES.map((_, id) => id).sort((a, b) => count_biome[b] - count_biome[a])) {
+            if (count_biome[biome] === 0) continue;
+            let swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = `rgb(${BIOMES[biome].color.join(',')})`;
+            let item = document.createElement('div');
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(BIOMES[biome].name));
+            legend.appendChild(item);
+        }
+    }
+
     /* Ask render module to copy WebGL into Canvas */
     function download() {
         render.screenshotCallback = () => {
             let a = document.createElement('a');
+            if (overlayCanvas) {
+                const {width, height} = render.screenshotCanvas;
+                render.screenshotCanvas.getContext('2d').drawImage(overlayCanvas, 0, 0, width, height);
+            }
             render.screenshotCanvas.toBlob(blob => {
                 // TODO: Firefox doesn't seem to allow a.click() to
                 // download; is it everyone or just my setup?
@@ -144,44 +139,333 @@ function main({mesh, t_peaks}: { mesh: Mesh; t_peaks: number[]; }) {
         render.updateView(param.render);
     }
     
+    /* Save the parameters and painted constraints to a file */
+    function saveProject() {
+        let text = toProjectFile({
+            param,
+            size: Painting.size,
+            constraints: Painting.constraints,
+            userHasPainted: Painting.userHasPainted(),
+            wind: Painting.wind,
+        });
+        let a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([text], {type: 'application/json'}));
+        a.setAttribute('download', `mapgen4-${param.elevation.seed}.json`);
+        a.click();
+    }
+
+    /* Put back the mesh, parameters, sliders, and painted constraints from a file */
+    async function loadProject(project: Project) {
+        if (project.size !== Painting.size) throw "project painting size doesn't match";
+        // The constraints would go on a different map
+        if (project.param.width !== param.width || project.param.height !== param.height) {
+            throw `project was made for a ${project.param.width}x${project.param.height} map but config.js has ${param.width}x${param.height}`;
+        }
+        if (!!project.param.wrap !== !!param.wrap) {
+            throw `project was made for a map that ${project.param.wrap ? "wraps" : "doesn't wrap"} but config.js has wrap: ${param.wrap}`;
+        }
+        await changeMesh(project.param.mesh.seed, project.param.spacing);
+        // Anything the file doesn't have gets its initial value, not
+        // the one from before loading. A null palette is the classic
+        // one; the project's own render parameters go on top of the
+        // palette's.
+        const initial = defaultParam();
+        param.names = project.param.names ?? {};
+        for (let phase of Object.keys(sliders)) {
+            param[phase] = {...initial[phase]};
+        }
+        setPalette(project.param.palette ? parsePalette(project.param.palette) : PALETTES[0], true);
+        for (let phase of Object.keys(sliders)) {
+            for (let [name, value] of Object.entries(project.param[phase] ?? {})) {
+                if (value !== undefined) { param[phase][name] = value; }
+            }
+            for (let name of Object.keys(sliders[phase])) {
+                sliders[phase][name].value = param[phase][name].toString();
+            }
+        }
+        Painting.setConstraints(param.elevation, project.constraints, project.userHasPainted, project.wind);
+        generate();
+        redraw();
+    }
+
+    function chooseProjectFile() {
+        let input = document.createElement('input');
+        input.setAttribute('type', 'file');
+        input.setAttribute('accept', '.json,application/json');
+        input.addEventListener('change', async () => {
+            let file = input.files[0];
+            if (!file) return;
+            try {
+                await loadProject(fromProjectFile(await file.text()));
+            } catch (error) {
+                alert(`Could not load ${file.name}: ${error}`);
+            }
+        });
+        input.click();
+    }
+
+    /* The palette menu has the built-in palettes, plus one more entry
+     * that loads a palette from a file */
+    const paletteSelect = document.getElementById('palette') as HTMLSelectElement | null;
+    if (paletteSelect) {
+        for (let palette of [...PALETTES, null]) {
+            let option = document.createElement('option');
+            option.textContent = palette?.name ?? "from file…";
+            paletteSelect.appendChild(option);
+        }
+    }
+
+    /* Switch the colors, and optionally the render sliders that go
+     * with the palette */
+    function setPalette(palette: Palette, setRenderParams: boolean) {
+        render.setPalette(palette);
+        param.palette = palette;
+        if (setRenderParams) {
+            for (let [name, value] of Object.entries(palette.render ?? {})) {
+                if (!sliders.render[name]) continue;
+                param.render[name] = value;
+                sliders.render[name].value = value.toString();
+            }
+        }
+        if (paletteSelect) {
+            let index = PALETTES.indexOf(palette);
+            if (index < 0) {
+                index = PALETTES.length;
+                paletteSelect.options[index].textContent = `custom: ${palette.name}`;
+            }
+            paletteSelect.selectedIndex = index;
+        }
+        redraw();
+    }
+
+    function choosePaletteFile() {
+        let input = document.createElement('input');
+        input.setAttribute('type', 'file');
+        input.setAttribute('accept', '.json,application/json');
+        input.addEventListener('change', async () => {
+            let file = input.files[0];
+            if (!file) return;
+            try {
+                setPalette(parsePalette(JSON.parse(await file.text())), true);
+            } catch (error) {
+                alert(`Could not load ${file.name}: ${error}`);
+            }
+        });
+        input.click();
+    }
+
+    paletteSelect?.addEventListener('change', () => {
+        if (paletteSelect.selectedIndex < PALETTES.length) {
+            setPalette(PALETTES[paletteSelect.selectedIndex], true);
+        } else {
+            choosePaletteFile();
+            // stay on the current palette until the file is loaded
+            setPalette(param.palette ?? PALETTES[0], false);
+        }
+    });
+    if (param.palette) { setPalette(parsePalette(param.palette), false); }
+
     Painting.screenToWorldCoords = (coords) => {
         let out = render.screenToWorld(coords);
-        return [out[0] / 1000, out[1] / 1000];
+        let x = out[0] / mesh.width;
+        // The map is drawn more than once when it wraps, so the
+        // mouse can be over any of the copies
+        if (mesh.wrap) { x -= Math.floor(x); }
+        return [x, out[1] / mesh.height];
     };
 
     Painting.onUpdate = () => {
         generate();
     };
 
-    const worker = new window.Worker("build/_worker.js");
+    let worker: Worker;
     let working = false;
     let workRequested = false;
     let elapsedTimeHistory = [];
 
-    worker.addEventListener('messageerror', event => {
-        console.log("WORKER ERROR", event);
-    });
-    
-    worker.addEventListener('message', event => {
+    /* While painting, the elevation and biomes update every frame,
+     * but the rivers only if the whole update fits in the frame
+     * budget, or often enough that they take RIVER_TIME_FRACTION of
+     * the time. Otherwise they catch up when painting pauses. They
+     * also catch up after a partial update, which can differ from a
+     * full one (see assignRiversInRect). A job whose rivers could
+     * wait is cancellable, so that newer work skips its rivers
+     * instead of waiting for them. Each job has a version, to drop
+     * the results from a worker that was replaced. */
+    const FRAME_BUDGET_MS = 25;
+    const RIVER_TIME_FRACTION = 0.25;
+    const RIVER_PAUSE_MS = 150;
+    let jobVersion = 0;
+    let cancelSent = false;
+    let riversPending = false;
+    let riversUpdatedAt = 0;
+    let riverTimer = 0;
+    let timing = {biomes: 0, rivers: 0}; // milliseconds, from the worker
+
+    function riversDue(): boolean {
+        return timing.biomes + timing.rivers <= FRAME_BUDGET_MS
+            || performance.now() - riversUpdatedAt >= timing.rivers / RIVER_TIME_FRACTION;
+    }
+
+    function handleWorkerMessage(event: MessageEvent) {
+        if (event.data.type === 'inspect') {
+            inspectWaiting = false;
+            showInspection(event.data);
+            sendInspect();
+            return;
+        }
+        if (event.data.type === 'export') {
+            // The rasters have the layer and size in the file name,
+            // because the raw float file has no header
+            let {format, text, layer, width, height, data} = event.data;
+            const mimeTypes = {geojson: 'application/geo+json', png: 'image/png', f32: 'application/octet-stream',
+                               glb: 'model/gltf-binary', obj: 'model/obj', stl: 'model/stl'};
+            let a = document.createElement('a');
+            a.href = URL.createObjectURL(new Blob([text ?? data], {type: mimeTypes[format]}));
+            a.setAttribute('download', layer ? `mapgen4-${param.elevation.seed}-${layer}-${width}x${height}.${format}`
+                                              : `mapgen4-${param.elevation.seed}.${format}`);
+            a.click();
+            for (let button of [rasterButton, terrainButton]) {
+                if (button) { button.disabled = false; }
+            }
+            return;
+        }
+        let {version, rivers, partialRivers, elapsed, elapsed_biomes, elapsed_rivers, path, numRiverTriangles, biome_r, settlement_xyz, road_xyz, border_xyz, wind_xyzuv, labels, quad_elements_buffer, a_quad_em_buffer, a_quad_biome_buffer, a_quad_temperature_buffer, a_quad_territory_buffer, a_river_xyww_buffer} = event.data;
+        if (version !== jobVersion) return; // from a worker that was replaced
         working = false;
-        let {elapsed, numRiverTriangles, quad_elements_buffer, a_quad_em_buffer, a_river_xyww_buffer} = event.data;
+        cancelSent = false;
+        if (elapsed_biomes !== null) { timing.biomes = elapsed_biomes; }
+        if (rivers) {
+            timing.rivers = elapsed_rivers;
+            riversUpdatedAt = performance.now();
+        }
+        riversPending = !rivers || partialRivers;
         elapsedTimeHistory.push(elapsed | 0);
         if (elapsedTimeHistory.length > 10) { elapsedTimeHistory.splice(0, 1); }
         const timingDiv = document.getElementById('timing');
-        if (timingDiv) { timingDiv.innerText = `${elapsedTimeHistory.join(' ')} milliseconds`; }
+        if (timingDiv) { timingDiv.innerText = `${elapsedTimeHistory.join(' ')} milliseconds (${path})`; }
         render.quad_elements = new Int32Array(quad_elements_buffer);
         render.a_quad_em = new Float32Array(a_quad_em_buffer);
+        render.a_quad_biome = new Float32Array(a_quad_biome_buffer);
+        render.a_quad_temperature = new Float32Array(a_quad_temperature_buffer);
+        render.a_quad_territory = new Float32Array(a_quad_territory_buffer);
         render.a_river_xyww = new Float32Array(a_river_xyww_buffer);
         render.numRiverTriangles = numRiverTriangles;
         render.updateMap();
+        updateLegend(biome_r);
+        if (overlay) {
+            overlay.settlement_xyz = settlement_xyz;
+            overlay.road_xyz = road_xyz;
+            overlay.border_xyz = border_xyz;
+            overlay.wind_xyzuv = wind_xyzuv;
+            overlay.labels = labels;
+        }
         redraw();
+        if (inspecting && inspectLast) {
+            // Update the inspector for the new map
+            inspectRequest = inspectLast;
+            sendInspect();
+        }
         if (workRequested) {
             requestAnimationFrame(() => {
                 workRequested = false;
                 generate();
             });
+        } else if (riversPending) {
+            riverTimer = window.setTimeout(catchUpRivers, RIVER_PAUSE_MS);
         }
-    });
+    }
+
+    /* The worker keeps the map for one mesh, so a new mesh needs a
+     * new worker. Any work in progress for the old mesh is dropped. */
+    function startWorker() {
+        worker?.terminate();
+        worker = new window.Worker("build/_worker.js");
+        worker.addEventListener('messageerror', event => {
+            console.log("WORKER ERROR", event);
+        });
+        worker.addEventListener('message', handleWorkerMessage);
+        worker.postMessage({mesh, t_peaks, param});
+        working = false;
+        workRequested = false;
+        cancelSent = false;
+        riversPending = false;
+        window.clearTimeout(riverTimer);
+        inspectWaiting = false;
+    }
+
+    /* Inspect mode shows the map data under the pointer instead of
+     * painting. Only one query goes to the worker at a time; while
+     * it's busy, only the latest pointer position is kept. */
+    const inspectButton = document.getElementById('button-inspect');
+    const inspectorDiv = document.getElementById('inspector');
+    let inspecting = false;
+    let inspectWaiting = false;
+    let inspectRequest: {r: number; t: number} | null = null;
+    let inspectLast: {r: number; t: number} | null = null;
+
+    function setInspecting(on: boolean) {
+        inspecting = on;
+        Painting.enabled = !on;
+        inspectButton?.classList.toggle('current-control', on);
+        if (inspectorDiv) { inspectorDiv.hidden = !on; }
+        if (overlay && !on) {
+            overlay.inspect_xyz = new Float32Array(0);
+            overlay.redraw();
+        }
+    }
+
+    function inspectAt(event: PointerEvent) {
+        if (!inspecting) return;
+        const bounds = (event.currentTarget as HTMLElement).getBoundingClientRect();
+        let [x, y] = render.screenToWorld([(event.x - bounds.left) / bounds.width, (event.y - bounds.top) / bounds.height]);
+        let t = render.locator.t_of_xy(x, y);
+        if (t < 0) return;
+        inspectRequest = inspectLast = {r: render.locator.r_of_xy(x, y), t};
+        sendInspect();
+    }
+
+    function sendInspect() {
+        if (inspectWaiting || !inspectRequest) return;
+        worker.postMessage({type: 'inspect', ...inspectRequest});
+        inspectRequest = null;
+        inspectWaiting = true;
+    }
+
+    /* The downslope direction is in map coordinates, where y is south */
+    function compass(downslope: [number, number] | null): string {
+        if (!downslope) return "none (sink)";
+        const names = ["E", "SE", "S", "SW", "W", "NW", "N", "NE"];
+        let octant = Math.round(Math.atan2(downslope[1], downslope[0]) / (Math.PI / 4));
+        return names[(octant + 8) % 8];
+    }
+
+    function showInspection(data: any) {
+        if (!inspecting) return;
+        if (overlay) {
+            overlay.inspect_xyz = data.path_xyz;
+            overlay.redraw();
+        }
+        if (!inspectorDiv) return;
+        const f = (value: number) => value.toFixed(3);
+        let lines = [
+            `region ${data.r}, triangle ${data.t}`,
+            `elevation ${f(data.elevation_r)} region, ${f(data.elevation_t)} triangle`,
+            `rainfall ${f(data.rainfall)}, humidity ${f(data.humidity)}`,
+            data.wind[0] || data.wind[1] ? `wind towards ${compass(data.wind)}` : "no wind",
+            `moisture ${f(data.moisture)}, temperature ${data.temperature.toFixed(1)}°C`,
+            `river flow ${f(data.flow)}, downslope ${compass(data.downslope)}`,
+            `biome ${BIOMES[data.biome].name}`,
+        ];
+        if (data.lake >= 0) { lines.push(`lake ${data.lake}`); }
+        if (data.territory >= 0) { lines.push(`territory ${data.territory}`); }
+        inspectorDiv.textContent = lines.join("\n");
+    }
+
+    const mapCanvas = document.getElementById('mapgen4');
+    mapCanvas.addEventListener('pointermove', inspectAt);
+    mapCanvas.addEventListener('pointerdown', inspectAt);
+    inspectButton?.addEventListener('click', () => setInspecting(!inspecting));
 
     function updateUI() {
         let userHasPainted = Painting.userHasPainted();
@@ -190,36 +474,155 @@ function main({mesh, t_peaks}: { mesh: Mesh; t_peaks: number[]; }) {
         (document.querySelector("#button-reset") as HTMLInputElement).disabled = !userHasPainted;
     }
     
+    function postJob(run: {biomes: boolean; rivers: boolean}) {
+        working = true;
+        worker.postMessage({
+            type: 'generate',
+            version: ++jobVersion,
+            run,
+            cancellable: !riversDue(),
+            param,
+            constraints: {
+                size: Painting.size,
+                constraints: Painting.constraints,
+                wind: Painting.wind,
+            },
+            dirty: run.biomes ? Painting.takeDirtyRect() : null,
+            quad_elements_buffer: render.quad_elements.buffer,
+            a_quad_em_buffer: render.a_quad_em.buffer,
+            a_quad_biome_buffer: render.a_quad_biome.buffer,
+            a_quad_temperature_buffer: render.a_quad_temperature.buffer,
+            a_quad_territory_buffer: render.a_quad_territory.buffer,
+            a_river_xyww_buffer: render.a_river_xyww.buffer,
+        }, [
+            render.quad_elements.buffer,
+            render.a_quad_em.buffer,
+            render.a_quad_biome.buffer,
+            render.a_quad_temperature.buffer,
+            render.a_quad_territory.buffer,
+            render.a_river_xyww.buffer,
+        ]
+        );
+    }
+
     function generate() {
+        window.clearTimeout(riverTimer);
         if (!working) {
-            working = true;
             Painting.setElevationParam(param.elevation);
             updateUI();
-            worker.postMessage({
-                param,
-                constraints: {
-                    size: Painting.size,
-                    constraints: Painting.constraints,
-                },
-                quad_elements_buffer: render.quad_elements.buffer,
-                a_quad_em_buffer: render.a_quad_em.buffer,
-                a_river_xyww_buffer: render.a_river_xyww.buffer,
-            }, [
-                render.quad_elements.buffer,
-                render.a_quad_em.buffer,
-                render.a_river_xyww.buffer,
-            ]
-            );
+            postJob({biomes: true, rivers: !Painting.painting || riversDue()});
         } else {
             workRequested = true;
+            if (!cancelSent) {
+                worker.postMessage({type: 'cancel', version: jobVersion});
+                cancelSent = true;
+            }
         }
     }
 
-    worker.postMessage({mesh, t_peaks, param});
+    /* Nothing has changed for a while, so the rivers can catch up,
+     * with a full update (see worker.ts) */
+    function catchUpRivers() {
+        if (working || !riversPending) return;
+        postJob({biomes: false, rivers: true});
+    }
+
+    /* Changing the mesh seed or resolution builds a new mesh in the
+     * background; if it changes again before that's done, only the
+     * latest mesh is used */
+    const meshSpacingSelect = document.getElementById('mesh-spacing') as HTMLSelectElement;
+    const meshSeedInput = document.getElementById('mesh-seed') as HTMLInputElement;
+    const meshStatus = document.getElementById('mesh-status');
+    let meshRequest = 0;
+
+    function updateMeshControls() {
+        if (meshSpacingSelect) {
+            meshSpacingSelect.replaceChildren();
+            let choices = [...MESH_SPACINGS];
+            if (!choices.some(choice => choice.spacing === param.spacing)) {
+                choices.push({name: `spacing ${param.spacing}`, spacing: param.spacing});
+                choices.sort((a, b) => b.spacing - a.spacing);
+            }
+            for (let {name, spacing} of choices) {
+                let option = document.createElement('option');
+                option.value = spacing.toString();
+                option.textContent = name;
+                option.selected = spacing === param.spacing;
+                meshSpacingSelect.appendChild(option);
+            }
+        }
+        if (meshSeedInput) { meshSeedInput.value = param.mesh.seed.toString(); }
+    }
+
+    async function changeMesh(seed: number, spacing: number) {
+        let request = ++meshRequest;
+        if (seed === param.mesh.seed && spacing === param.spacing) {
+            if (meshStatus) { meshStatus.textContent = ""; }
+            return;
+        }
+        if (meshStatus) { meshStatus.textContent = "building mesh…"; }
+        let result = await makeMesh(seed, spacing);
+        if (request !== meshRequest) return;
+        if (meshStatus) { meshStatus.textContent = ""; }
+
+        param.mesh.seed = seed;
+        param.spacing = spacing;
+        mesh = result.mesh;
+        t_peaks = result.t_peaks;
+        render.setMesh(mesh);
+        startWorker();
+        updateMeshControls();
+        generate();
+    }
+
+    function requestMeshChange() {
+        let seed = meshSeedInput?.valueAsNumber;
+        let spacing = parseFloat(meshSpacingSelect?.value);
+        if (!(seed >= 1) || !(spacing > 0)) return;
+        changeMesh(Math.round(seed), spacing).catch(error => {
+            if (meshStatus) { meshStatus.textContent = `could not build mesh: ${error}`; }
+        });
+    }
+
+    meshSpacingSelect?.addEventListener('change', requestMeshChange);
+    meshSeedInput?.addEventListener('change', requestMeshChange);
+    updateMeshControls();
+
+    startWorker();
     generate();
 
     const downloadButton = document.getElementById('button-download');
     if (downloadButton) downloadButton.addEventListener('click', download);
+    const exportButton = document.getElementById('button-export-geojson');
+    if (exportButton) exportButton.addEventListener('click', () => {
+        worker.postMessage({type: 'export', format: 'geojson', param});
+    });
+    const rasterButton = document.getElementById('button-export-raster') as HTMLButtonElement | null;
+    if (rasterButton) rasterButton.addEventListener('click', () => {
+        const layer = (document.getElementById('raster-layer') as HTMLSelectElement).value,
+              format = (document.getElementById('raster-format') as HTMLSelectElement).value,
+              size = (document.getElementById('raster-size') as HTMLInputElement).valueAsNumber;
+        if (!(size >= 1)) return;
+        // A large raster takes a few seconds
+        rasterButton.disabled = true;
+        worker.postMessage({type: 'export', format, layer, size: Math.round(size), param});
+    });
+    const terrainButton = document.getElementById('button-export-terrain') as HTMLButtonElement | null;
+    if (terrainButton) terrainButton.addEventListener('click', () => {
+        const format = (document.getElementById('terrain-format') as HTMLSelectElement).value;
+        const options: MeshOptions = {
+            vertical_scale: param.render.mountain_height,
+            colors: (document.getElementById('terrain-colors') as HTMLInputElement).checked,
+            rivers: (document.getElementById('terrain-rivers') as HTMLInputElement).checked,
+            base: (document.getElementById('terrain-base') as HTMLInputElement).valueAsNumber || 0,
+        };
+        terrainButton.disabled = true;
+        worker.postMessage({type: 'export', format, options, param});
+    });
+    const saveButton = document.getElementById('button-save');
+    if (saveButton) saveButton.addEventListener('click', saveProject);
+    const loadButton = document.getElementById('button-load');
+    if (loadButton) loadButton.addEventListener('click', chooseProjectFile);
 }
 
 makeMesh().then(main);
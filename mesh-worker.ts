@@ -0,0 +1,29 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * This module runs the worker thread that builds a mesh, so that
+ * changing the resolution or mesh seed doesn't freeze the page.
+ * Choosing the points is the slow part, so if the caller already has
+ * a points file (from the cache or the build directory) it's used
+ * instead of running choosePoints() again.
+ */
+
+import {makeMeshFromPoints} from "./mesh.ts";
+import {choosePoints} from "./generate-points.ts";
+import {fromPointsFile, toPointsFile} from "./serialize-points.ts";
+
+// NOTE: Typescript workaround https://github.com/Microsoft/TypeScript/issues/20595
+const worker: Worker = self as any;
+
+onmessage = (event) => {
+    let {seed, spacing, mountainSpacing, width, height, wrap} = event.data;
+    let pointsFile: Uint16Array = event.data.pointsFile
+        ?? toPointsFile(choosePoints(seed, spacing, mountainSpacing, width, height, wrap));
+    // NOTE: always build the mesh from the points file, even when
+    // they were just chosen, so that the 16 bit rounding is the same
+    // whether or not the points came from the cache
+    let {mesh, t_peaks} = makeMeshFromPoints(fromPointsFile(pointsFile));
+    worker.postMessage({pointsFile, mesh, t_peaks});
+};
@@ -10,23 +10,125 @@
 import param from "./config.js";
 import Delaunator from 'delaunator';
 import {TriangleMesh, MeshInitializer} from "./dual-mesh/index.ts";
-// import {choosePoints} from "./generate-points.ts";
+import {type Point, type PointsData} from "./generate-points.ts";
 import {fromPointsFile} from "./serialize-points.ts";
+import {wrapDx} from "./geometry.ts";
 import type {Mesh} from "./types.d.ts";
 
-export async function makeMesh() {
-    let pointsData = await (await fetch(`build/points-${param.spacing}.data`)).arrayBuffer();
-    let {points, numExteriorBoundaryPoints, numInteriorBoundaryPoints, numMountainPoints} =
-        fromPointsFile(new Uint16Array(pointsData));
-        // choosePoints(param.mesh.seed, param.spacing, param.mountainSpacing);
+/* Resolutions offered in the UI, as point spacing in map units */
+export const MESH_SPACINGS: {name: string; spacing: number}[] = [
+    {name: 'coarse',    spacing: 10},
+    {name: 'medium',    spacing: 7},
+    {name: 'fine',      spacing: 5.5},
+    {name: 'very fine', spacing: 4},
+];
 
-    let meshInit: MeshInitializer = TriangleMesh.addGhostStructure({
-        points,
-        delaunator: Delaunator.from(points),
-        numBoundaryPoints: numExteriorBoundaryPoints,
+
+/*
+ * Points files are cached in IndexedDB, keyed on the parameters that
+ * went into choosePoints(). The cache is only an optimization, so any
+ * errors (e.g. private browsing) fall back to not caching.
+ */
+const CACHE_DB = "mapgen4-mesh";
+const CACHE_STORE = "points";
+
+function openCache(): Promise<IDBDatabase | null> {
+    return new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') return resolve(null);
+        let request = indexedDB.open(CACHE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function readCache(key: string): Promise<Uint16Array | null> {
+    let db = await openCache();
+    if (!db) return null;
+    return new Promise(resolve => {
+        let request = db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).get(key);
+        request.onsuccess = () => resolve(request.result instanceof Uint16Array ? request.result : null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function writeCache(key: string, pointsFile: Uint16Array) {
+    let db = await openCache();
+    if (!db) return;
+    db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).put(pointsFile, key);
+}
+
+
+/* build.sh only makes the points file for the parameters in config.js */
+async function fetchPrebuilt(seed: number, spacing: number): Promise<Uint16Array | null> {
+    if (seed !== param.mesh.seed || spacing !== param.spacing) return null;
+    try {
+        let response = await fetch(`build/points-${spacing}.data`);
+        if (!response.ok) return null;
+        return new Uint16Array(await response.arrayBuffer());
+    } catch (_error) {
+        return null;
+    }
+}
+
+
+/**
+ * Make the mesh for a given mesh seed and spacing. The points come
+ * from the cache, or the build directory, or if neither has them,
+ * choosePoints() in the mesh worker. The Delaunay triangulation also
+ * runs in the mesh worker.
+ */
+export async function makeMesh(seed: number = param.mesh.seed, spacing: number = param.spacing): Promise<{mesh: Mesh; t_peaks: number[]}> {
+    const {width, height, wrap, mountainSpacing} = param;
+    const key = `${seed}:${spacing}:${mountainSpacing}:${width}x${height}${wrap ? ':wrap' : ''}`;
+    let pointsFile = await readCache(key) ?? await fetchPrebuilt(seed, spacing);
+    let isCached = pointsFile !== null;
+
+    let result = await new Promise<any>((resolve, reject) => {
+        const worker = new window.Worker("build/_mesh-worker.js");
+        worker.addEventListener('message', event => { worker.terminate(); resolve(event.data); });
+        worker.addEventListener('error', event => { worker.terminate(); reject(event.message); });
+        worker.postMessage({seed, spacing, mountainSpacing, width, height, wrap, pointsFile});
     });
+
+    if (!isCached) await writeCache(key, result.pointsFile);
+    // NOTE: web worker messages only include the data, so make it a
+    // TriangleMesh again (see worker.ts)
+    return {mesh: new TriangleMesh(result.mesh) as Mesh, t_peaks: result.t_peaks};
+}
+
+/**
+ * Build the dual mesh and mountain peaks from point data. This part
+ * doesn't need the browser, so the headless generator uses it too.
+ */
+export function makeMeshFromPoints(pointsData: PointsData) {
+    let {width, height, wrap, points, numExteriorBoundaryPoints, numInteriorBoundaryPoints, numMountainPoints} = pointsData;
+
+    let meshInit: MeshInitializer = wrap
+        ? addPeriodicGhostStructure({
+            points,
+            delaunator: periodicTriangulation(points, width),
+            numBoundaryPoints: numExteriorBoundaryPoints,
+        })
+        : TriangleMesh.addGhostStructure({
+            points,
+            delaunator: Delaunator.from(points),
+            numBoundaryPoints: numExteriorBoundaryPoints,
+        });
     let mesh = new TriangleMesh(meshInit) as Mesh;
     console.log(`triangles = ${mesh.numTriangles} regions = ${mesh.numRegions}`);
+    mesh.width = width;
+    mesh.height = height;
+    mesh.wrap = wrap;
+    if (wrap) {
+        assignPeriodicTriangleCenters(mesh);
+        assignSeamVertices(mesh);
+    } else {
+        mesh.vertex_d = new Int32Array(0);
+        mesh.dx_d = new Float32Array(0);
+        mesh.v_begin_s = null;
+        mesh.v_outer_s = null;
+    }
 
     // Mark the triangles that are connected to a boundary region
     // TODO: store 8 bits per byte instead of 1 bit per byte, or maybe a Set
@@ -39,7 +141,7 @@ export async function makeMesh() {
     for (let s = 0; s < mesh.numSides; s++) {
         let r1 = mesh.r_begin_s(s),
             r2 = mesh.r_end_s(s);
-        let dx = mesh.x_of_r(r1) - mesh.x_of_r(r2),
+        let dx = wrapDx(mesh, mesh.x_of_r(r1) - mesh.x_of_r(r2)),
             dy = mesh.y_of_r(r1) - mesh.y_of_r(r2);
         mesh.length_s[s] = Math.sqrt(dx*dx + dy*dy);
     }
@@ -61,3 +163,190 @@ export async function makeMesh() {
     
     return {mesh, t_peaks};
 }
+
+
+/*
+ * A map that wraps east-west has a mesh that's periodic in x. To
+ * triangulate it, copy the points near each edge to the other side,
+ * triangulate all of them, and then keep the triangles with their
+ * centroid on the map. A triangle that crosses the seam is in the
+ * triangulation twice, once on each side, and only one of those is
+ * kept. The kept triangles refer to the original points, and their
+ * sides pair up across the seam.
+ */
+function periodicTriangulation(points: Point[], width: number): {triangles: Int32Array; halfedges: Int32Array} {
+    const margin = width / 4;
+    const numPoints = points.length;
+    let extended: Point[] = points.slice();
+    let r_of_e: number[] = points.map((_, r) => r);
+    let shift_e: number[] = points.map(_ => 0);
+    for (let r = 0; r < numPoints; r++) {
+        let [x, y] = points[r];
+        if (x < margin) { extended.push([x + width, y]); r_of_e.push(r); shift_e.push(+1); }
+        if (x >= width - margin) { extended.push([x - width, y]); r_of_e.push(r); shift_e.push(-1); }
+    }
+    let delaunator = Delaunator.from(extended);
+
+    let triangles: number[] = [], shift_s: number[] = [];
+    for (let s = 0; s < delaunator.triangles.length; s += 3) {
+        let e0 = delaunator.triangles[s],
+            e1 = delaunator.triangles[s+1],
+            e2 = delaunator.triangles[s+2];
+        let x = (extended[e0][0] + extended[e1][0] + extended[e2][0]) / 3;
+        if (x < 0 || x >= width) continue;
+        for (let e of [e0, e1, e2]) {
+            triangles.push(r_of_e[e]);
+            shift_s.push(shift_e[e]);
+        }
+    }
+
+    // A side from r1 to r2 pairs with the side from r2 to r1 that
+    // crosses the seam the same way
+    const key = (s1: number, s2: number) =>
+        ((triangles[s1] * numPoints) + triangles[s2]) * 5 + (shift_s[s2] - shift_s[s1] + 2);
+    let s_of_key = new Map<number, number>();
+    for (let s = 0; s < triangles.length; s++) {
+        s_of_key.set(key(s, TriangleMesh.s_next_s(s)), s);
+    }
+    let halfedges = new Int32Array(triangles.length);
+    for (let s = 0; s < triangles.length; s++) {
+        halfedges[s] = s_of_key.get(key(TriangleMesh.s_next_s(s), s)) ?? -1;
+    }
+    return {triangles: Int32Array.from(triangles), halfedges};
+}
+
+
+/**
+ * Like TriangleMesh.addGhostStructure(), but for a mesh with more than
+ * one boundary loop. A periodic mesh is a cylinder, with unpaired
+ * sides along the top and along the bottom. Each loop gets its own
+ * ring of ghost triangles, all meeting at the one ghost region.
+ */
+function addPeriodicGhostStructure(init: MeshInitializer): MeshInitializer {
+    const {triangles, halfedges} = init.delaunator;
+    const numSolidSides = triangles.length;
+
+    let s_unpaired_r = new Int32Array(init.points.length).fill(-1);
+    let numUnpairedSides = 0;
+    for (let s = 0; s < numSolidSides; s++) {
+        if (halfedges[s] === -1) {
+            if (triangles[s] >= init.numBoundaryPoints) throw "periodic mesh didn't match up at the seam";
+            s_unpaired_r[triangles[s]] = s;
+            numUnpairedSides++;
+        }
+    }
+
+    const r_ghost = init.points.length;
+    let newpoints = init.points.concat([[NaN, NaN]]);
+    let r_newstart_s = new Int32Array(numSolidSides + 3 * numUnpairedSides);
+    r_newstart_s.set(triangles);
+    let s_newopposite_s = new Int32Array(numSolidSides + 3 * numUnpairedSides);
+    s_newopposite_s.set(halfedges);
+
+    let visited_s = new Int8Array(numSolidSides);
+    let i = 0;
+    for (let s_start = 0; s_start < numSolidSides; s_start++) {
+        if (halfedges[s_start] !== -1 || visited_s[s_start]) continue;
+        let loop: number[] = [];
+        for (let s = s_start; !visited_s[s]; s = s_unpaired_r[r_newstart_s[TriangleMesh.s_next_s(s)]]) {
+            if (s < 0) throw "periodic mesh boundary isn't a loop";
+            visited_s[s] = 1;
+            loop.push(s);
+        }
+        for (let j = 0; j < loop.length; j++) {
+            // Construct a ghost side for s, as in addGhostStructure()
+            let s = loop[j];
+            let s_ghost = numSolidSides + 3 * (i + j);
+            s_newopposite_s[s] = s_ghost;
+            s_newopposite_s[s_ghost] = s;
+            r_newstart_s[s_ghost] = r_newstart_s[TriangleMesh.s_next_s(s)];
+            r_newstart_s[s_ghost + 1] = r_newstart_s[s];
+            r_newstart_s[s_ghost + 2] = r_ghost;
+            let k = numSolidSides + 3 * (i + (j + 1) % loop.length) + 1;
+            s_newopposite_s[s_ghost + 2] = k;
+            s_newopposite_s[k] = s_ghost + 2;
+        }
+        i += loop.length;
+    }
+
+    return {
+        numSolidSides,
+        numBoundaryPoints: init.numBoundaryPoints,
+        points: newpoints,
+        delaunator: {
+            triangles: r_newstart_s,
+            halfedges: s_newopposite_s,
+        } as any,
+    };
+}
+
+
+/* TriangleMesh puts each triangle at the average of its corners, which
+ * is on the wrong side of the map for triangles that cross the seam.
+ * Average them the short way around instead, and keep 0 ≤ x < width. */
+function assignPeriodicTriangleCenters(mesh: Mesh) {
+    const {width, _vertex_t} = mesh;
+    for (let t = 0; t < mesh.numTriangles; t++) {
+        let s = 3 * t;
+        let r0 = mesh.r_begin_s(s), r1 = mesh.r_begin_s(s+1), r2 = mesh.r_begin_s(s+2);
+        let x0 = mesh.x_of_r(r0), y0 = mesh.y_of_r(r0);
+        let x1 = x0 + wrapDx(mesh, mesh.x_of_r(r1) - x0), y1 = mesh.y_of_r(r1);
+        let x, y;
+        if (mesh.is_ghost_t(t)) {
+            // ghost triangle center is just outside the unpaired side
+            let dx = x1 - x0, dy = y1 - y0;
+            let scale = 10 / Math.sqrt(dx*dx + dy*dy);
+            x = 0.5 * (x0 + x1) + dy*scale;
+            y = 0.5 * (y0 + y1) - dx*scale;
+        } else {
+            let x2 = x0 + wrapDx(mesh, mesh.x_of_r(r2) - x0), y2 = mesh.y_of_r(r2);
+            x = (x0 + x1 + x2) / 3;
+            y = (y0 + y1 + y2) / 3;
+        }
+        _vertex_t[t][0] = ((x % width) + width) % width;
+        _vertex_t[t][1] = y;
+    }
+}
+
+
+/**
+ * On a map that wraps east-west, the quadrilaterals that the renderer
+ * draws for each side (see setMapGeometry) can cross the seam. They
+ * need copies of some of their vertices moved by the map width. The
+ * render vertices are the regions, then the triangles, then the
+ * copies; vertex_d is the original vertex of copy d and dx_d is how
+ * far it moved. For each solid side s, v_begin_s is the vertex to
+ * draw for r_begin_s(s) and v_outer_s for t_outer_s(s), as seen from
+ * t_inner_s(s).
+ */
+function assignSeamVertices(mesh: Mesh) {
+    const {numRegions, numTriangles, numSolidSides, width} = mesh;
+    let vertex_d: number[] = [], dx_d: number[] = [];
+    let d_of_key = new Map<number, number>();
+
+    function vertexNear(v: number, x: number, x_reference: number): number {
+        let dx = x - x_reference;
+        let shift = dx > width/2 ? -1 : dx < -width/2 ? +1 : 0;
+        if (shift === 0) return v;
+        let key = 3 * v + shift + 1;
+        let d = d_of_key.get(key);
+        if (d === undefined) {
+            d = vertex_d.length;
+            d_of_key.set(key, d);
+            vertex_d.push(v);
+            dx_d.push(shift * width);
+        }
+        return numRegions + numTriangles + d;
+    }
+
+    mesh.v_begin_s = new Int32Array(numSolidSides);
+    mesh.v_outer_s = new Int32Array(numSolidSides);
+    for (let s = 0; s < numSolidSides; s++) {
+        let x = mesh.x_of_t(mesh.t_inner_s(s));
+        let r = mesh.r_begin_s(s), t_outer = mesh.t_outer_s(s);
+        mesh.v_begin_s[s] = vertexNear(r, mesh.x_of_r(r), x);
+        mesh.v_outer_s[s] = vertexNear(numRegions + t_outer, mesh.x_of_t(t_outer), x);
+    }
+    mesh.vertex_d = Int32Array.from(vertex_d);
+    mesh.dx_d = Float32Array.from(dx_d);
+}
@@ -0,0 +1,108 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Seeded name generators for the map labels. A syllables model glues
+ * together random onsets, vowels, and codas. A markov model learns
+ * which letters follow which from a list of example names, and makes
+ * up new names that sound like them. Set names.model in config.js (or
+ * in the command line parameter file) to use a different model, e.g.
+ * {"type": "markov", "examples": ["Avalon", "Brigadoon", "Camelot"]}
+ */
+
+/* The coda only goes on the last syllable, so that the consonants
+ * don't pile up in the middle of a name */
+export type SyllableModel = {
+    type: 'syllables';
+    onsets: string[];
+    vowels: string[];
+    codas: string[];
+    minSyllables: number;
+    maxSyllables: number;
+};
+
+export type MarkovModel = {
+    type: 'markov';
+    examples: string[];
+    order?: number; /* how many previous letters to look at, default 2 */
+    minLength?: number;
+    maxLength?: number;
+};
+
+export type NameModel = SyllableModel | MarkovModel;
+
+/* randInt(N) is 0 ≤ integer < N, as from makeRandInt() in prng */
+export type RandInt = (N: number) => number;
+
+export const defaultNameModel: SyllableModel = {
+    type: 'syllables',
+    onsets: ['', 'b', 'br', 'c', 'd', 'dr', 'f', 'g', 'gr', 'h', 'k', 'l', 'm', 'n', 'p', 'r', 's', 'st', 't', 'th', 'v', 'w', 'z'],
+    vowels: ['a', 'e', 'i', 'o', 'u', 'a', 'e', 'o', 'ae', 'ia', 'ou', 'y'],
+    codas: ['', '', 'l', 'm', 'n', 'r', 's', 'nd', 'rn', 'th', 'x'],
+    minSyllables: 2,
+    maxSyllables: 3,
+};
+
+
+function capitalize(name: string): string {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function pick<T>(randInt: RandInt, choices: T[]): T {
+    return choices[randInt(choices.length)];
+}
+
+
+/**
+ * Make a function that returns a name using the random numbers from
+ * randInt. The markov table is built once here, so the returned
+ * function is fast enough to call for every label.
+ */
+export function makeNamer(model: NameModel): (randInt: RandInt) => string {
+    if (model.type === 'syllables') {
+        const {onsets, vowels, codas, minSyllables, maxSyllables} = model;
+        return (randInt) => {
+            let name = "";
+            let count = minSyllables + randInt(maxSyllables - minSyllables + 1);
+            for (let i = 0; i < count; i++) {
+                name += pick(randInt, onsets) + pick(randInt, vowels);
+            }
+            name += pick(randInt, codas);
+            return capitalize(name);
+        };
+    }
+
+    if (model.type === 'markov') {
+        const order = model.order ?? 2,
+              minLength = model.minLength ?? 4,
+              maxLength = model.maxLength ?? 10;
+        if (model.examples.length === 0) throw "markov name model needs examples";
+        // '^' pads the start of a name and '$' marks the end
+        const start = "^".repeat(order);
+        let next: {[context: string]: string[]} = {};
+        for (let example of model.examples) {
+            let word = start + example.toLowerCase() + "$";
+            for (let i = order; i < word.length; i++) {
+                (next[word.slice(i - order, i)] ??= []).push(word[i]);
+            }
+        }
+        return (randInt) => {
+            let name = "";
+            // Some runs end too soon or go on too long, so try again
+            for (let attempt = 0; attempt < 20; attempt++) {
+                let word = start;
+                while (word.length - order < maxLength) {
+                    let letter = pick(randInt, next[word.slice(-order)]);
+                    if (letter === "$") break;
+                    word += letter;
+                }
+                name = word.slice(order);
+                if (name.length >= minLength && name.length <= maxLength) break;
+            }
+            return capitalize(name);
+        };
+    }
+
+    throw `unknown name model ${(model as any).type}`;
+}
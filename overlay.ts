@@ -0,0 +1,307 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The overlay is a 2d canvas on top of the WebGL canvas, for the
+ * wind arrows, territory borders, settlements, roads, labels, and the
+ * inspector's downstream path. They're drawn with the same
+ * projection as the map, so they follow the zoom, rotation, and tilt,
+ * but they're always on top instead of hidden behind mountains.
+ *
+ * The labels are placed in screen space every time the view changes,
+ * in priority order, skipping any label that would overlap one that's
+ * already placed. River labels are bent to follow the river.
+ */
+
+import {vec4, type mat4} from 'gl-matrix';
+import type {Label, LabelKind} from "./labels.ts";
+
+const ROAD_COLOR = "hsl(30, 40%, 25%)";
+const ROAD_WIDTH = 4;
+const BORDER_COLOR = "hsl(330 60% 30% / 0.8)";
+const BORDER_WIDTH = 3;
+const INSPECT_COLOR = "hsl(0, 100%, 45%)";
+const WIND_COLOR = "hsl(200 40% 20% / 0.7)";
+const WIND_WIDTH = 2;
+const WIND_LENGTH = 30; // map units, for a wind vector of length 1
+const WIND_HEAD = 8;
+const SETTLEMENT_RADIUS = 9;
+const CAPITAL_RADIUS = 14;
+const LABEL_HALO = "hsl(60 20% 95% / 0.8)";
+
+const LABEL_STYLE: {[kind in LabelKind]: {size: number; style: string; family: string; color: string}} = {
+    ocean:     {size: 56, style: "italic", family: "serif",      color: "hsl(220, 50%, 25%)"},
+    sea:       {size: 44, style: "italic", family: "serif",      color: "hsl(220, 50%, 25%)"},
+    lake:      {size: 28, style: "italic", family: "serif",      color: "hsl(220, 50%, 25%)"},
+    mountains: {size: 32, style: "bold",   family: "serif",      color: "hsl(30, 40%, 20%)"},
+    river:     {size: 26, style: "italic", family: "serif",      color: "hsl(210, 60%, 30%)"},
+    capital:   {size: 36, style: "bold",   family: "sans-serif", color: "black"},
+    town:      {size: 28, style: "",       family: "sans-serif", color: "black"},
+};
+
+type Box = {left: number; top: number; right: number; bottom: number};
+type Point = [number, number];
+
+function overlaps(a: Box, b: Box): boolean {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+function boxAround([x, y]: Point, halfWidth: number, halfHeight: number): Box {
+    return {left: x - halfWidth, top: y - halfHeight, right: x + halfWidth, bottom: y + halfHeight};
+}
+
+
+export default class Overlay {
+    settlement_xyz: Float32Array = new Float32Array(0);
+    road_xyz: Float32Array[] = [];
+    border_xyz: Float32Array = new Float32Array(0);
+    wind_xyzuv: Float32Array = new Float32Array(0);
+    labels: Label[] = [];
+    inspect_xyz: Float32Array = new Float32Array(0);
+    redraw: () => void = () => {};
+
+    constructor (public canvas: HTMLCanvasElement) { }
+
+    /**
+     * Redraw with the map's projection matrix. On a map that wraps,
+     * everything is drawn at each of the copies of the map (see
+     * Renderer.forEachCopy).
+     */
+    draw(projection: mat4, worldSize: [number, number], wrap: boolean, renderParam: any) {
+        const {canvas, settlement_xyz, road_xyz, border_xyz, wind_xyzuv, inspect_xyz} = this;
+        // The inspector changes more often than the map, so it redraws
+        // the overlay without redrawing the map
+        this.redraw = () => this.draw(projection, worldSize, wrap, renderParam);
+        const {width, height} = canvas;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        let v = vec4.create();
+        function project(P: ArrayLike<number>, i: number, dx: number): Point {
+            vec4.transformMat4(v, [P[i] + dx, P[i+1], P[i+2], 1], projection);
+            return [(1 + v[0] / v[3]) * 0.5 * width, (1 - v[1] / v[3]) * 0.5 * height];
+        }
+        const offsets = wrap ? [-worldSize[0], 0, worldSize[0]] : [0];
+
+        // The arrowheads are in screen space, so that they're the same
+        // size at any zoom
+        if (renderParam.wind_arrows >= 0.5) {
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.lineWidth = WIND_WIDTH;
+            ctx.strokeStyle = WIND_COLOR;
+            ctx.beginPath();
+            let tip = new Float32Array(3);
+            for (let dx of offsets) {
+                for (let i = 0; i < wind_xyzuv.length; i += 5) {
+                    tip[0] = wind_xyzuv[i] + WIND_LENGTH * wind_xyzuv[i+3];
+                    tip[1] = wind_xyzuv[i+1] + WIND_LENGTH * wind_xyzuv[i+4];
+                    tip[2] = wind_xyzuv[i+2];
+                    let [x1, y1] = project(wind_xyzuv, i, dx);
+                    let [x2, y2] = project(tip, 0, dx);
+                    let length = Math.hypot(x2 - x1, y2 - y1);
+                    if (length < WIND_WIDTH) continue;
+                    let ux = (x2 - x1) / length, uy = (y2 - y1) / length;
+                    let head = Math.min(WIND_HEAD, 0.5 * length);
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                    ctx.moveTo(x2 - head * (ux - 0.5 * uy), y2 - head * (uy + 0.5 * ux));
+                    ctx.lineTo(x2, y2);
+                    ctx.lineTo(x2 - head * (ux + 0.5 * uy), y2 - head * (uy - 0.5 * ux));
+                }
+            }
+            ctx.stroke();
+        }
+
+        if (renderParam.territory_borders >= 0.5) {
+            ctx.lineCap = 'round';
+            ctx.lineWidth = BORDER_WIDTH;
+            ctx.strokeStyle = BORDER_COLOR;
+            ctx.beginPath();
+            for (let dx of offsets) {
+                for (let i = 0; i < border_xyz.length; i += 6) {
+                    let [x1, y1] = project(border_xyz, i, dx);
+                    let [x2, y2] = project(border_xyz, i + 3, dx);
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                }
+            }
+            ctx.stroke();
+        }
+
+        /* The labels avoid the settlement markers */
+        let occupied: Box[] = [];
+        if (renderParam.settlement_markers >= 0.5) {
+            for (let dx of offsets) {
+                ctx.lineJoin = 'round';
+                ctx.lineCap = 'round';
+                ctx.lineWidth = ROAD_WIDTH;
+                ctx.strokeStyle = ROAD_COLOR;
+                ctx.setLineDash([3 * ROAD_WIDTH, 2 * ROAD_WIDTH]);
+                ctx.beginPath();
+                for (let P of road_xyz) {
+                    for (let i = 0; i < P.length; i += 3) {
+                        let [x, y] = project(P, i, dx);
+                        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+                    }
+                }
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                // The first settlement has the best site, so it's drawn
+                // larger, like a capital
+                ctx.lineWidth = 3;
+                for (let i = 0; i < settlement_xyz.length; i += 3) {
+                    let p = project(settlement_xyz, i, dx);
+                    let radius = i === 0 ? CAPITAL_RADIUS : SETTLEMENT_RADIUS;
+                    ctx.beginPath();
+                    ctx.arc(p[0], p[1], radius, 0, 2 * Math.PI);
+                    ctx.fillStyle = "white";
+                    ctx.fill();
+                    ctx.strokeStyle = "black";
+                    ctx.stroke();
+                    occupied.push(boxAround(p, radius, radius));
+                }
+            }
+        }
+
+        if (renderParam.labels >= 0.5) {
+            const screen: Box = {left: 0, top: 0, right: width, bottom: height};
+            for (let label of this.labels) {
+                if (renderParam.settlement_markers < 0.5 && (label.kind === 'capital' || label.kind === 'town')) continue;
+                for (let dx of offsets) {
+                    if (label.kind === 'river') {
+                        let line: Point[] = [];
+                        for (let i = 0; i < label.xyz.length; i += 3) { line.push(project(label.xyz, i, dx)); }
+                        placeLineLabel(ctx, label, line, screen, occupied);
+                    } else {
+                        placePointLabel(ctx, label, project(label.xyz, 0, dx), screen, occupied);
+                    }
+                }
+            }
+        }
+
+        // The path starts at the inspected point
+        if (inspect_xyz.length > 0) {
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            ctx.lineWidth = 5;
+            ctx.strokeStyle = INSPECT_COLOR;
+            ctx.fillStyle = INSPECT_COLOR;
+            for (let dx of offsets) {
+                ctx.beginPath();
+                for (let i = 0; i < inspect_xyz.length; i += 3) {
+                    let [x, y] = project(inspect_xyz, i, dx);
+                    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+                }
+                ctx.stroke();
+                let [x, y] = project(inspect_xyz, 0, dx);
+                ctx.beginPath();
+                ctx.arc(x, y, 8, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+    }
+}
+
+
+function setLabelFont(ctx: CanvasRenderingContext2D, kind: LabelKind) {
+    const {size, style, family, color} = LABEL_STYLE[kind];
+    ctx.font = `${style} ${size}px ${family}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = LABEL_HALO;
+    ctx.fillStyle = color;
+}
+
+function drawText(ctx: CanvasRenderingContext2D, text: string, x: number, y: number) {
+    ctx.strokeText(text, x, y);
+    ctx.fillText(text, x, y);
+}
+
+
+/* Settlement names go next to the marker, trying each side; the other
+ * labels are centered on their feature */
+function placePointLabel(ctx: CanvasRenderingContext2D, label: Label, p: Point, screen: Box, /* in/out */ occupied: Box[]) {
+    setLabelFont(ctx, label.kind);
+    const {size} = LABEL_STYLE[label.kind];
+    const halfWidth = 0.5 * ctx.measureText(label.name).width,
+          halfHeight = 0.5 * size;
+    let candidates: Point[] = [p];
+    if (label.kind === 'capital' || label.kind === 'town') {
+        const gap = (label.kind === 'capital' ? CAPITAL_RADIUS : SETTLEMENT_RADIUS) + 4;
+        candidates = [
+            [p[0] + gap + halfWidth, p[1]],
+            [p[0] - gap - halfWidth, p[1]],
+            [p[0], p[1] - gap - halfHeight],
+            [p[0], p[1] + gap + halfHeight],
+        ];
+    }
+    for (let center of candidates) {
+        let box = boxAround(center, halfWidth, halfHeight);
+        if (!overlaps(box, screen)) return;
+        if (occupied.some(other => overlaps(box, other))) continue;
+        drawText(ctx, label.name, center[0], center[1]);
+        occupied.push(box);
+        return;
+    }
+}
+
+
+/**
+ * Draw the label one letter at a time along the middle of the line,
+ * each letter turned to follow the line. The line is reversed if
+ * needed so that the text reads left to right. The angle is measured
+ * over the width of a letter so that small wiggles don't make the
+ * letters jump around.
+ */
+function placeLineLabel(ctx: CanvasRenderingContext2D, label: Label, line: Point[], screen: Box, /* in/out */ occupied: Box[]) {
+    setLabelFont(ctx, label.kind);
+    const {size} = LABEL_STYLE[label.kind];
+    if (line[line.length-1][0] < line[0][0]) { line.reverse(); }
+
+    let distance = [0];
+    for (let i = 1; i < line.length; i++) {
+        distance.push(distance[i-1] + Math.hypot(line[i][0] - line[i-1][0], line[i][1] - line[i-1][1]));
+    }
+    const length = distance[line.length-1];
+    function pointAt(d: number): Point {
+        d = Math.max(0, Math.min(length, d));
+        let i = 1;
+        while (i < line.length-1 && distance[i] < d) { i++; }
+        let f = (d - distance[i-1]) / ((distance[i] - distance[i-1]) || 1);
+        return [line[i-1][0] + f * (line[i][0] - line[i-1][0]),
+                line[i-1][1] + f * (line[i][1] - line[i-1][1])];
+    }
+
+    const letters = [...label.name];
+    const letterWidths = letters.map(letter => ctx.measureText(letter).width);
+    const textWidth = letterWidths.reduce((a, b) => a + b, 0);
+    if (textWidth + size > length) return;
+
+    let placements: {letter: string; p: Point; angle: number}[] = [];
+    let d = 0.5 * (length - textWidth);
+    for (let i = 0; i < letters.length; i++) {
+        let middle = d + 0.5 * letterWidths[i];
+        let p = pointAt(middle);
+        let before = pointAt(middle - 0.5 * size), after = pointAt(middle + 0.5 * size);
+        let angle = Math.atan2(after[1] - before[1], after[0] - before[0]);
+        placements.push({letter: letters[i], p, angle});
+        d += letterWidths[i];
+    }
+
+    let boxes = placements.map(({p}, i) => boxAround(p, 0.5 * Math.max(letterWidths[i], 0.5 * size), 0.5 * size));
+    if (!boxes.some(box => overlaps(box, screen))) return;
+    if (boxes.some(box => occupied.some(other => overlaps(box, other)))) return;
+    for (let {letter, p, angle} of placements) {
+        ctx.save();
+        ctx.translate(p[0], p[1]);
+        ctx.rotate(angle);
+        drawText(ctx, letter, 0, 0);
+        ctx.restore();
+    }
+    occupied.push(...boxes);
+}
@@ -12,139 +12,232 @@
  * then send the elevation map to the generator to produce the output.
  */
 
-import {createNoise2D} from 'simplex-noise';
-import {makeRandFloat} from '@redblobgames/prng';
-
-const CANVAS_SIZE = 128;
-
-const currentStroke = {
-    /* elevation before the current paint stroke began */
-    previousElevation: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
-    /* how long, in milliseconds, was spent painting */
-    time: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
-    /* maximum strength applied */
-    strength: new Float32Array(CANVAS_SIZE * CANVAS_SIZE),
-};
+import param from "./config.js";
+import {CANVAS_SIZE, WIND_SIZE, FULL_CANVAS, currentStroke, unionRect, paintWind, Generator, type Rect, type Tool} from "./heightmap.ts";
 
+let heightMap = new Generator(param.width / param.height, param.wrap);
+let windLayer = new Float32Array(2 * WIND_SIZE * WIND_SIZE);
 
-/* The elevation is -1.0 to 0.0 → water, 0.0 to +1.0 → land */
-class Generator {
-    seed = 0;
-    island = 0;
-    userHasPainted = false;
-    elevation: Float32Array;
-    
-    constructor () {
-        this.elevation = new Float32Array(CANVAS_SIZE * CANVAS_SIZE);
-    }
+/* The part of the elevation map that changed since the generator
+ * last asked for it, so that it can update only that part */
+let dirtyRect: Rect | null = FULL_CANVAS;
 
-    setElevationParam(elevationParam) {
-        if (   elevationParam.seed   !== this.seed
-            || elevationParam.island !== this.island) {
-            this.seed   = elevationParam.seed;
-            this.island = elevationParam.island;
-            this.generate();
-        }
-    }
-    
-    /** Use a noise function to determine the shape */
-    generate() {
-        const {elevation, island} = this;
-        const noise2D = createNoise2D(makeRandFloat(this.seed));
-        const persistence = 1/2;
-        const amplitudes = Array.from({length: 5}, (_, octave) => Math.pow(persistence, octave));
-
-        function fbm_noise(nx, ny) {
-            let sum = 0, sumOfAmplitudes = 0;
-            for (let octave = 0; octave < amplitudes.length; octave++) {
-                let frequency = 1 << octave;
-                sum += amplitudes[octave] * noise2D(nx * frequency, ny * frequency);
-                sumOfAmplitudes += amplitudes[octave];
-            }
-            return sum / sumOfAmplitudes;
-        }
+function changed(rect: Rect | null) {
+    dirtyRect = unionRect(dirtyRect, rect);
+    exported.onUpdate();
+}
 
-        for (let y = 0; y < CANVAS_SIZE; y++) {
-            for (let x = 0; x < CANVAS_SIZE; x++) {
-                let p = y * CANVAS_SIZE + x;
-                let nx = 2 * x/CANVAS_SIZE - 1,
-                    ny = 2 * y/CANVAS_SIZE - 1;
-                let distance = Math.max(Math.abs(nx), Math.abs(ny));
-                let e = 0.5 * (fbm_noise(nx, ny) + island * (0.75 - 2 * distance * distance));
-                if (e < -1.0) { e = -1.0; }
-                if (e > +1.0) { e = +1.0; }
-                elevation[p] = e;
-                if (e > 0.0) {
-                    let m = (0.5 * noise2D(nx + 30, ny + 50)
-                             + 0.5 * noise2D(2*nx + 33, 2*ny + 55));
-                    // TODO: make some of these into parameters
-                    let mountain = Math.min(1.0, e * 5.0) * (1 - Math.abs(m) / 0.5);
-                    if (mountain > 0.0) {
-                        elevation[p] = Math.max(e, Math.min(e * 3, mountain));
-                    }
-                }
-            }
-        }
 
-        this.userHasPainted = false;
-    }
+/*
+ * Undo/redo keeps the part of the elevation map that each edit
+ * changed, before and after. To keep memory bounded, only the
+ * bounding box of the edit is stored, and the oldest edits are
+ * dropped when the total gets too large. Wind edits keep the whole
+ * wind layer, which is small, and have no rectangle.
+ */
+type Edit = {
+    rect: Rect | null;
+    before: Float32Array | null;
+    after: Float32Array | null;
+    wind: {before: Float32Array; after: Float32Array} | null;
+    userHasPaintedBefore: boolean;
+    userHasPaintedAfter: boolean;
+};
+
+const MAX_HISTORY_CELLS = 16 * CANVAS_SIZE * CANVAS_SIZE;
+
+const undoHistory = {
+    undoStack: [] as Edit[],
+    redoStack: [] as Edit[],
 
     /**
-     * Paint a circular region. x0, y0 should be 0 to 1
+     * Record an edit, given the elevation from before the edit began,
+     * or for a wind edit, the wind layer from before it began
      */
-    paintAt(tool: { elevation: number; },
-            x0: number, y0: number,
-            size: { innerRadius: number; outerRadius: number; rate: number; },
-            deltaTimeInMs: number) {
-        let {elevation} = this;
-        /* This has two effects: first time you click the mouse it has a
-         * strong effect, and it also limits the amount in case you
-         * pause */
-        deltaTimeInMs = Math.min(100, deltaTimeInMs);
-
-        let newElevation = tool.elevation;
-        let {innerRadius, outerRadius, rate} = size;
-        let xc = (x0 * CANVAS_SIZE) | 0, yc = (y0 * CANVAS_SIZE) | 0;
-        let top = Math.ceil(Math.max(0, yc - outerRadius)),
-            bottom = Math.floor(Math.min(CANVAS_SIZE-1, yc + outerRadius));
-        for (let y = top; y <= bottom; y++) {
-            let s = Math.sqrt(outerRadius * outerRadius - (y - yc) * (y - yc)) | 0;
-            let left = Math.max(0, xc - s),
-                right = Math.min(CANVAS_SIZE-1, xc + s);
-            for (let x = left; x <= right; x++) {
-                let p = y * CANVAS_SIZE + x;
-                let distance = Math.sqrt((x - xc) * (x - xc) + (y - yc) * (y - yc));
-                let strength = 1.0 - Math.min(1, Math.max(0, (distance - innerRadius) / (outerRadius - innerRadius)));
-                let factor = rate/1000 * deltaTimeInMs;
-                currentStroke.time[p] += strength * factor;
-                if (strength > currentStroke.strength[p]) {
-                    currentStroke.strength[p] = (1 - factor) * currentStroke.strength[p] + factor * strength;
-                }
-                let mix = currentStroke.strength[p] * Math.min(1, currentStroke.time[p]);
-                elevation[p] = (1 - mix) * currentStroke.previousElevation[p] + mix * newElevation;
+    record(rect: Rect | null, previousElevation: Float32Array, userHasPaintedBefore: boolean, previousWind: Float32Array | null = null) {
+        this.undoStack.push({
+            rect,
+            before: rect && copyRect(previousElevation, rect),
+            after: rect && copyRect(heightMap.elevation, rect),
+            wind: previousWind && {before: previousWind, after: windLayer.slice()},
+            userHasPaintedBefore,
+            userHasPaintedAfter: heightMap.userHasPainted,
+        });
+        this.redoStack = [];
+        let cells = 0;
+        for (let i = this.undoStack.length-1; i >= 0; i--) {
+            let edit = this.undoStack[i];
+            cells += (edit.before?.length ?? 0) + (edit.wind ? 2 * edit.wind.before.length : 0);
+            if (cells > MAX_HISTORY_CELLS) {
+                this.undoStack.splice(0, i+1);
+                break;
             }
         }
+        updateHistoryButtons();
+    },
+
+    undo() {
+        let edit = this.undoStack.pop();
+        if (!edit) return;
+        if (edit.rect) { pasteRect(heightMap.elevation, edit.rect, edit.before); }
+        if (edit.wind) { windLayer.set(edit.wind.before); }
+        heightMap.userHasPainted = edit.userHasPaintedBefore;
+        this.redoStack.push(edit);
+        updateHistoryButtons();
+        changed(edit.rect);
+    },
+
+    redo() {
+        let edit = this.redoStack.pop();
+        if (!edit) return;
+        if (edit.rect) { pasteRect(heightMap.elevation, edit.rect, edit.after); }
+        if (edit.wind) { windLayer.set(edit.wind.after); }
+        heightMap.userHasPainted = edit.userHasPaintedAfter;
+        this.undoStack.push(edit);
+        updateHistoryButtons();
+        changed(edit.rect);
+    },
 
-        this.userHasPainted = true;
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        updateHistoryButtons();
+    },
+};
+
+function copyRect(elevation: Float32Array, rect: Rect): Float32Array {
+    const width = rect.right - rect.left + 1;
+    let out = new Float32Array(width * (rect.bottom - rect.top + 1));
+    for (let y = rect.top; y <= rect.bottom; y++) {
+        let p = y * CANVAS_SIZE + rect.left;
+        out.set(elevation.subarray(p, p + width), (y - rect.top) * width);
     }
+    return out;
 }
-let heightMap = new Generator();
+
+function pasteRect(elevation: Float32Array, rect: Rect, values: Float32Array) {
+    const width = rect.right - rect.left + 1;
+    for (let y = rect.top; y <= rect.bottom; y++) {
+        let i = (y - rect.top) * width;
+        elevation.set(values.subarray(i, i + width), y * CANVAS_SIZE + rect.left);
+    }
+}
+
+function updateHistoryButtons() {
+    const undoButton = document.getElementById('button-undo') as HTMLButtonElement;
+    const redoButton = document.getElementById('button-redo') as HTMLButtonElement;
+    if (undoButton) undoButton.disabled = undoHistory.undoStack.length === 0;
+    if (redoButton) redoButton.disabled = undoHistory.redoStack.length === 0;
+}
+
 
 let exported = {
     size: CANVAS_SIZE,
+    enabled: true, // false while the map is being inspected instead
+    painting: false, // true from pointer down to pointer up
     onUpdate: () => {},
     screenToWorldCoords: coords => coords,
     constraints: heightMap.elevation,
-    setElevationParam: elevationParam => heightMap.setElevationParam(elevationParam),
+    wind: windLayer,
+    setElevationParam: elevationParam => {
+        // Edits don't make sense on top of a different generated map
+        if (heightMap.setElevationParam(elevationParam)) {
+            undoHistory.clear();
+            dirtyRect = FULL_CANVAS;
+        }
+    },
     userHasPainted: () => heightMap.userHasPainted,
+    setConstraints: (elevationParam, constraints: Float32Array, userHasPainted: boolean, wind: Float32Array | null = null) => {
+        heightMap.setConstraints(elevationParam, constraints, userHasPainted);
+        if (wind) { windLayer.set(wind); } else { windLayer.fill(0); }
+        undoHistory.clear();
+        dirtyRect = FULL_CANVAS;
+    },
+    /** The changed rectangle since the last call, or null if nothing changed */
+    takeDirtyRect: (): Rect | null => {
+        let rect = dirtyRect;
+        dirtyRect = null;
+        return rect;
+    },
 };
 
 document.getElementById('button-reset').addEventListener('click', () => {
+    let previousElevation = heightMap.elevation.slice();
+    let userHasPaintedBefore = heightMap.userHasPainted;
     heightMap.generate();
-    exported.onUpdate();
+    undoHistory.record(FULL_CANVAS, previousElevation, userHasPaintedBefore);
+    changed(FULL_CANVAS);
 });
 
 
+/**
+ * Read a heightmap file into 0-1 values: either an image (grayscale
+ * PNG etc.), or a square raw file of little-endian 16-bit values
+ * (.r16 or .raw).
+ */
+async function readHeightmapFile(file: File): Promise<{values: Float32Array; width: number; height: number}> {
+    if (/\.(r16|raw)$/i.test(file.name)) {
+        const data = new DataView(await file.arrayBuffer());
+        const count = data.byteLength >> 1;
+        const size = Math.round(Math.sqrt(count));
+        if (size * size !== count) throw "raw 16-bit heightmaps must be square";
+        const values = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            values[i] = data.getUint16(2*i, true) / 65535;
+        }
+        return {values, width: size, height: size};
+    }
+
+    const bitmap = await createImageBitmap(file);
+    const {width, height} = bitmap;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = (pixels[4*i] + pixels[4*i+1] + pixels[4*i+2]) / (3 * 255);
+    }
+    return {values, width, height};
+}
+
+function chooseHeightmapFile() {
+    let input = document.createElement('input');
+    input.setAttribute('type', 'file');
+    input.setAttribute('accept', 'image/*,.r16,.raw');
+    input.addEventListener('change', async () => {
+        let file = input.files[0];
+        if (!file) return;
+        const seaLevelInput = document.getElementById('import-sea-level') as HTMLInputElement;
+        const scaleInput = document.getElementById('import-scale') as HTMLInputElement;
+        const seaLevel = seaLevelInput? seaLevelInput.valueAsNumber : 0.5;
+        const scale = scaleInput? scaleInput.valueAsNumber : 2.0;
+        try {
+            let {values, width, height} = await readHeightmapFile(file);
+            let previousElevation = heightMap.elevation.slice();
+            let userHasPaintedBefore = heightMap.userHasPainted;
+            heightMap.setFromHeightmap(values, width, height, seaLevel, scale);
+            undoHistory.record(FULL_CANVAS, previousElevation, userHasPaintedBefore);
+            changed(FULL_CANVAS);
+        } catch (error) {
+            alert(`Could not import ${file.name}: ${error}`);
+        }
+    });
+    input.click();
+}
+
+const importButton = document.getElementById('button-import');
+if (importButton) importButton.addEventListener('click', chooseHeightmapFile);
+
+for (let [id, action] of [['button-undo', () => undoHistory.undo()], ['button-redo', () => undoHistory.redo()]] as const) {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', action);
+}
+updateHistoryButtons();
+
+
 const SIZES = {
     // rate is effect per second
     tiny:   {key: '1', rate: 9, innerRadius: 1.5, outerRadius: 2.5},
@@ -153,11 +246,18 @@ const SIZES = {
     large:  {key: '4', rate: 3, innerRadius: 10, outerRadius: 16},
 };
 
-const TOOLS = {
-    ocean:    {elevation: -0.25},
-    shallow:  {elevation: -0.05},
-    valley:   {elevation: +0.05},
-    mountain: {elevation: +1.0},
+const TOOLS: {[name: string]: Tool} = {
+    ocean:    {mode: 'target', elevation: -0.25},
+    shallow:  {mode: 'target', elevation: -0.05},
+    valley:   {mode: 'target', elevation: +0.05},
+    mountain: {mode: 'target', elevation: +1.0},
+    raise:    {mode: 'relative', amount: +0.25},
+    lower:    {mode: 'relative', amount: -0.25},
+    smooth:   {mode: 'smooth'},
+    flatten:  {mode: 'target'}, // elevation is where the stroke starts
+    roughen:  {mode: 'noise', amount: 0.15},
+    river:    {mode: 'line', amount: 0.05},
+    wind:     {mode: 'wind'},
 };
 
 let currentTool = 'mountain';
@@ -181,9 +281,24 @@ const controls: [string, string, () => void][] = [
     ['w', "shallow",  () => { currentTool = 'shallow'; }],
     ['e', "valley",   () => { currentTool = 'valley'; }],
     ['r', "mountain", () => { currentTool = 'mountain'; }],
+    ['t', "raise",    () => { currentTool = 'raise'; }],
+    ['y', "lower",    () => { currentTool = 'lower'; }],
+    ['a', "smooth",   () => { currentTool = 'smooth'; }],
+    ['s', "flatten",  () => { currentTool = 'flatten'; }],
+    ['d', "roughen",  () => { currentTool = 'roughen'; }],
+    ['f', "river",    () => { currentTool = 'river'; }],
+    ['g', "wind",     () => { currentTool = 'wind'; }],
 ];
 
 window.addEventListener('keydown', e => {
+    // Typing in a text field, like the seed, has its own undo
+    if (e.target instanceof HTMLElement && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        // Ctrl+Z undo, Ctrl+Shift+Z redo (Cmd on Mac)
+        if (e.shiftKey) { undoHistory.redo(); } else { undoHistory.undo(); }
+        e.preventDefault();
+        return;
+    }
     for (let control of controls) {
         if (e.key === control[0]) { control[2](); displayCurrentTool(); }
     }
@@ -199,33 +314,61 @@ function setUpPaintEventHandling() {
     const el = document.getElementById('mapgen4');
     let dragging = false;
     let timestamp = 0;
+    let strokeRect: Rect | null = null;
+    let userHasPaintedBefore = false;
+    /* The tool is chosen when the stroke starts, and the line tool
+     * remembers where the line starts */
+    let strokeTool: Tool = TOOLS[currentTool];
+    let lineStart = [0, 0];
+    /* The wind brush paints the direction the pointer moves */
+    let previousCoords = [0, 0];
+    let previousWind: Float32Array | null = null;
+
+    function eventCoords(event: PointerEvent): number[] {
+        const bounds = el.getBoundingClientRect();
+        let coords = [
+            (event.x - bounds.left) / bounds.width,
+            (event.y - bounds.top) / bounds.height,
+        ];
+        return exported.screenToWorldCoords(coords);
+    }
     
     function start(event: PointerEvent) {
         if (event.button !== 0) return; // left button only
+        if (!exported.enabled) return;
         el.setPointerCapture(event.pointerId);
         
-        dragging = true;
+        dragging = exported.painting = true;
         timestamp = Date.now();
         currentStroke.time.fill(0);
         currentStroke.strength.fill(0);
         currentStroke.previousElevation.set(heightMap.elevation);
+        currentStroke.seed++;
+        strokeRect = null;
+        userHasPaintedBefore = heightMap.userHasPainted;
+        strokeTool = TOOLS[currentTool];
+        let coords = eventCoords(event);
+        if (currentTool === 'flatten') {
+            strokeTool = {...strokeTool, elevation: heightMap.elevation[heightMap.cellAt(coords[0], coords[1])]};
+        }
+        lineStart = previousCoords = coords;
+        previousWind = strokeTool.mode === 'wind' ? windLayer.slice() : null;
         move(event);
     }
 
     function end(_event) {
-        dragging = false;
+        let windChanged = previousWind && windLayer.some((value, i) => value !== previousWind[i]);
+        if (dragging && (strokeRect || windChanged)) {
+            undoHistory.record(strokeRect, currentStroke.previousElevation, userHasPaintedBefore, windChanged ? previousWind : null);
+        }
+        dragging = exported.painting = false;
     }
 
     function move(event: PointerEvent) {
         if (!dragging) return;
 
         const nowMs = Date.now();
-        const bounds = el.getBoundingClientRect();
-        let coords = [
-            (event.x - bounds.left) / bounds.width,
-            (event.y - bounds.top) / bounds.height,
-        ];
-        coords = exported.screenToWorldCoords(coords);
+        let coords = eventCoords(event);
         let brushSize = SIZES[currentSize];
         if (event.pointerType === 'pen' && event.pressure !== 0.5) {
             // Pointer Event spec says 0.5 sent when pen does not
@@ -248,10 +391,30 @@ function setUpPaintEventHandling() {
             // Hold down shift to paint slowly
             brushSize = {...brushSize, rate: brushSize.rate/4};
         }
-        heightMap.paintAt(TOOLS[currentTool], coords[0], coords[1],
-                          brushSize, nowMs - timestamp);
+        let rect: Rect | null = null;
+        if (strokeTool.mode === 'wind') {
+            let dx = coords[0] - previousCoords[0], dy = coords[1] - previousCoords[1];
+            if (param.wrap) { dx -= Math.round(dx); } // the short way across the seam
+            paintWind(windLayer, heightMap.aspect, heightMap.wrap, coords[0], coords[1],
+                      dx * param.width, dy * param.height, brushSize, nowMs - timestamp);
+            previousCoords = coords;
+        } else if (strokeTool.mode === 'line') {
+            // The line is redrawn from the start of the stroke, so put
+            // back what the last one changed. There's no time for the
+            // rate to apply to, so slow painting cuts a shallower channel.
+            if (strokeRect) {
+                pasteRect(heightMap.elevation, strokeRect, copyRect(currentStroke.previousElevation, strokeRect));
+            }
+            let depth = strokeTool.amount * brushSize.rate / SIZES[currentSize].rate;
+            rect = unionRect(strokeRect, heightMap.carveLine(lineStart[0], lineStart[1], coords[0], coords[1],
+                                                             brushSize, depth));
+        } else {
+            rect = heightMap.paintAt(strokeTool, coords[0], coords[1],
+                                     brushSize, nowMs - timestamp);
+        }
+        strokeRect = unionRect(strokeRect, rect);
         timestamp = nowMs;
-        exported.onUpdate();
+        changed(rect);
     }
         
     el.addEventListener('pointerdown', start);
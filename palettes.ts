@@ -0,0 +1,122 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The built-in palettes. Each one also sets the render parameters
+ * that go with its style, so that switching between them gives the
+ * same look every time. A palette loaded from a json file has the
+ * same format (see Palette in colormap.ts), e.g.
+ * {"name": "desert", "land": [{"elevation": 0, "dry": "#edc", "wet": "#9a7"},
+ *  {"elevation": 1, "color": "#a86"}], "ocean": [{"elevation": -1, "color": "#013"},
+ *  {"elevation": 0, "color": "#48a"}], "coast": ["#6ac"], "river": "#48a",
+ *  "render": {"outline_coast": 1}}
+ */
+
+import type {Palette} from "./colormap.ts";
+
+/* The render parameters for the classic look, which the other
+ * palettes adjust */
+const CLASSIC_RENDER = {
+    light_angle_deg: 80,
+    slope: 2,
+    flat: 2.5,
+    ambient: 0.25,
+    overhead: 30,
+    outline_depth: 1,
+    outline_strength: 15,
+    outline_threshold: 0,
+    outline_coast: 0,
+    outline_water: 13,
+    biome_colors: 1,
+    biome_ids: 0,
+};
+
+export const PALETTES: Palette[] = [
+    {
+        // The original mapgen4 colors; higher elevation holds less
+        // moisture, so the wet color fades to the dry color at the top
+        name: "classic",
+        land: [
+            {elevation: 0, dry: [210, 185, 139], wet: [110, 140, 94]},
+            {elevation: 1, color: [210, 185, 139]},
+        ],
+        ocean: [
+            {elevation: -1, color: [0, 0, 0]},
+            {elevation: 0, color: [48, 64, 127]},
+        ],
+        coast: [[48, 120, 160], [48, 100, 150], [48, 80, 140]],
+        river: [51, 127.5, 178.5],
+        render: CLASSIC_RENDER,
+    },
+    {
+        name: "parchment",
+        land: [
+            {elevation: 0, dry: "#e8d5a9", wet: "#cdbf8c"},
+            {elevation: 0.5, dry: "#cfb283", wet: "#c2a676"},
+            {elevation: 1, color: "#a8865a"},
+        ],
+        ocean: [
+            {elevation: -1, color: "#b3a785"},
+            {elevation: 0, color: "#d9cca3"},
+        ],
+        coast: ["#8a7650", "#a8956c", "#c2b28a"],
+        river: "#7d6a48",
+        render: {...CLASSIC_RENDER, slope: 1.5, flat: 3, ambient: 0.4, overhead: 40,
+                 outline_depth: 1.2, outline_strength: 25, outline_coast: 1, outline_water: 10},
+    },
+    {
+        // Atlas colors by height only, from green lowlands to snow
+        name: "hypsometric",
+        land: [
+            {elevation: 0, color: "#4f9a55"},
+            {elevation: 0.1, color: "#8fbf6a"},
+            {elevation: 0.25, color: "#d8d08a"},
+            {elevation: 0.45, color: "#c8a064"},
+            {elevation: 0.7, color: "#a0704c"},
+            {elevation: 0.9, color: "#d8d0c8"},
+            {elevation: 1, color: "#ffffff"},
+        ],
+        ocean: [
+            {elevation: -1, color: "#1f4e8c"},
+            {elevation: -0.3, color: "#4f86c6"},
+            {elevation: 0, color: "#a6cde8"},
+        ],
+        coast: ["#c2e0f2", "#b4d7ee"],
+        river: "#4f86c6",
+        render: {...CLASSIC_RENDER, ambient: 0.35, outline_strength: 10, outline_coast: 0.5, outline_water: 8},
+    },
+    {
+        // Brightness is elevation, without the light and outlines
+        name: "grayscale height",
+        land: [
+            {elevation: 0, color: "#606060"},
+            {elevation: 1, color: "#ffffff"},
+        ],
+        ocean: [
+            {elevation: -1, color: "#000000"},
+            {elevation: 0, color: "#505050"},
+        ],
+        coast: [],
+        river: "#404040",
+        render: {...CLASSIC_RENDER, slope: 0, flat: 0, ambient: 1, overhead: 60,
+                 outline_strength: 0, outline_water: 0},
+    },
+    {
+        // Dry to wet is light to dark as well as yellow to blue-green,
+        // and the water is blue, so there are no red-green contrasts
+        name: "colorblind safe",
+        land: [
+            {elevation: 0, dry: "#e8d8a0", wet: "#6f8f7a"},
+            {elevation: 0.5, dry: "#c8a070", wet: "#8a8f70"},
+            {elevation: 1, color: "#a07850"},
+        ],
+        ocean: [
+            {elevation: -1, color: "#08306b"},
+            {elevation: 0, color: "#4a90c8"},
+        ],
+        coast: ["#9ecae1", "#78b0d8", "#5a9ccc"],
+        river: "#0072b2",
+        render: {...CLASSIC_RENDER, outline_coast: 1},
+    },
+];
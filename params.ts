@@ -0,0 +1,73 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Map generator parameters, shared by the browser UI and the headless
+ * generator.
+ */
+
+import config from "./config.js";
+import {orderStages, type ParamSchema} from "./stages.ts";
+
+// each parameter is [name, initial value, low, high]; the map
+// generator's parameters are with their stages in stages.ts
+const renderParams: ParamSchema[] = [
+    ['zoom', 100/480 * 1000/Math.max(config.width, config.height), 100/Math.max(config.width, config.height), 100/50],
+    ['x', config.width/2, 0, config.width],
+    ['y', config.height/2, 0, config.height],
+    ['light_angle_deg', 80, 0, 360],
+    ['slope', 2, 0, 5],
+    ['flat', 2.5, 0, 5],
+    ['ambient', 0.25, 0, 1],
+    ['overhead', 30, 0, 60],
+    ['tilt_deg', 0, 0, 90],
+    ['rotate_deg', 0, -180, 180],
+    ['mountain_height', 50, 0, 250],
+    ['outline_depth', 1, 0, 2],
+    ['outline_strength', 15, 0, 30],
+    ['outline_threshold', 0, 0, 100],
+    ['outline_coast', 0, 0, 1],
+    ['outline_water', 13.0, 0, 20], // things start going wrong when this is high
+    ['biome_colors', 1, 0, 1],
+    ['biome_ids', 0, 0, 1],
+    ['settlement_markers', 1, 0, 1],
+    ['labels', 1, 0, 1],
+    ['territory_borders', 1, 0, 1],
+    ['territory_tint', 0, 0, 1],
+    ['wind_arrows', 0, 0, 1],
+];
+
+/**
+ * The parameter groups: one for each map generator stage, in the
+ * order the stages run, then the render group.
+ */
+export function initialParams(): {[group: string]: ParamSchema[]} {
+    let groups: {[group: string]: ParamSchema[]} = {};
+    for (let stage of orderStages()) {
+        groups[stage.name] = stage.param;
+    }
+    groups.render = renderParams;
+    return groups;
+}
+
+/**
+ * Make a complete parameter object from config.js and the initial
+ * values above. Any of the groups can be overridden; the overrides
+ * are merged into the defaults group by group.
+ */
+export function defaultParam(overrides: any = {}) {
+    let param: any = {...config, mesh: {...config.mesh, ...overrides.mesh}};
+    for (let key of ['width', 'height', 'wrap', 'spacing', 'mountainSpacing', 'names', 'palette']) {
+        if (overrides[key] !== undefined) { param[key] = overrides[key]; }
+    }
+    let groups = initialParams();
+    for (let phase of Object.keys(groups)) {
+        param[phase] = {};
+        for (let [name, initialValue] of groups[phase]) {
+            param[phase][name] = initialValue;
+        }
+        Object.assign(param[phase], overrides[phase]);
+    }
+    return param;
+}
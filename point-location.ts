@@ -0,0 +1,164 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Find the triangle and region under a point on the map. The solid
+ * triangles are put into a grid of buckets by their bounding boxes,
+ * so a lookup only tests the few triangles in one bucket.
+ */
+
+import {wrapDx} from "./geometry.ts";
+import type {Mesh} from "./types.d.ts";
+
+/* Each bucket is about this many mesh spacings across */
+const CELL_SPACINGS = 2;
+
+export default class PointLocation {
+    cellWidth: number;
+    cellHeight: number;
+    numColumns: number;
+    numRows: number;
+    start_c: Int32Array; /* the triangles in cell c are t_list[start_c[c] ... start_c[c+1]] */
+    t_list: Int32Array;
+
+    constructor (public mesh: Mesh) {
+        const {width, height, numSolidRegions} = mesh;
+        // The columns fit the width exactly, so that they line up
+        // at the seam on a map that wraps
+        const size = CELL_SPACINGS * Math.sqrt(width * height / numSolidRegions);
+        this.numColumns = Math.ceil(width / size);
+        this.numRows = Math.ceil(height / size);
+        this.cellWidth = width / this.numColumns;
+        this.cellHeight = height / this.numRows;
+
+        // Count the triangles in each cell, then fill them in
+        let start_c = new Int32Array(this.numColumns * this.numRows + 1);
+        this.forEachTriangleCell((_t, c) => { start_c[c+1]++; });
+        for (let c = 0; c < this.numColumns * this.numRows; c++) { start_c[c+1] += start_c[c]; }
+        let t_list = new Int32Array(start_c[start_c.length-1]);
+        let next_c = start_c.slice();
+        this.forEachTriangleCell((t, c) => { t_list[next_c[c]++] = t; });
+        this.start_c = start_c;
+        this.t_list = t_list;
+    }
+
+    /* Call back with each cell overlapping each solid triangle's
+     * bounding box. On a map that wraps, the columns wrap too. */
+    forEachTriangleCell(callback: (t: number, c: number) => void) {
+        const {mesh, cellWidth, cellHeight, numColumns, numRows} = this;
+        for (let t = 0; t < mesh.numSolidTriangles; t++) {
+            let x0 = mesh.x_of_r(mesh.r_begin_s(3*t));
+            let left = x0, right = x0, top = Infinity, bottom = -Infinity;
+            for (let i = 0; i < 3; i++) {
+                let r = mesh.r_begin_s(3*t + i);
+                let x = x0 + wrapDx(mesh, mesh.x_of_r(r) - x0), y = mesh.y_of_r(r);
+                left = Math.min(left, x); right = Math.max(right, x);
+                top = Math.min(top, y); bottom = Math.max(bottom, y);
+            }
+            let row0 = Math.max(0, Math.floor(top / cellHeight)),
+                row1 = Math.min(numRows-1, Math.floor(bottom / cellHeight));
+            let column0 = Math.floor(left / cellWidth),
+                column1 = Math.floor(right / cellWidth);
+            if (!mesh.wrap) {
+                column0 = Math.max(0, column0);
+                column1 = Math.min(numColumns-1, column1);
+            }
+            for (let row = row0; row <= row1; row++) {
+                for (let column = column0; column <= column1; column++) {
+                    let wrapped = ((column % numColumns) + numColumns) % numColumns;
+                    callback(t, row * numColumns + wrapped);
+                }
+            }
+        }
+    }
+
+    /* The triangle's region positions, moved across the seam if needed
+     * to be next to x */
+    corners(t: number, x: number, /* out */ xy: number[]): number[] {
+        const {mesh} = this;
+        xy.length = 0;
+        for (let i = 0; i < 3; i++) {
+            let r = mesh.r_begin_s(3*t + i);
+            xy.push(x + wrapDx(mesh, mesh.x_of_r(r) - x), mesh.y_of_r(r));
+        }
+        return xy;
+    }
+
+    /**
+     * The solid triangle containing (x, y), or -1 if the point is
+     * outside the mesh. On a map that wraps, x can be in any copy.
+     */
+    t_of_xy(x: number, y: number): number {
+        const {mesh, cellWidth, cellHeight, numColumns, numRows, start_c, t_list} = this;
+        if (mesh.wrap) { x -= Math.floor(x / mesh.width) * mesh.width; }
+        let column = Math.floor(x / cellWidth), row = Math.floor(y / cellHeight);
+        if (column < 0 || column >= numColumns || row < 0 || row >= numRows) return -1;
+        let c = row * numColumns + column;
+        let xy = [];
+        for (let i = start_c[c]; i < start_c[c+1]; i++) {
+            let t = t_list[i];
+            let [x1, y1, x2, y2, x3, y3] = this.corners(t, x, xy);
+            // Inside if on the same side of all three edges; the
+            // mesh triangles all have the same winding
+            let d1 = (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1),
+                d2 = (x3 - x2) * (y - y2) - (y3 - y2) * (x - x2),
+                d3 = (x1 - x3) * (y - y3) - (y1 - y3) * (x - x3);
+            if ((d1 >= 0 && d2 >= 0 && d3 >= 0) || (d1 <= 0 && d2 <= 0 && d3 <= 0)) return t;
+        }
+        return -1;
+    }
+
+    /**
+     * The region containing (x, y), which is the closest one, or -1 if
+     * the point is outside the mesh. Start at a corner of the triangle
+     * containing the point and walk to closer neighbors. In a Delaunay
+     * mesh, a region that isn't the closest always has a closer
+     * neighbor, so the walk ends at the closest.
+     */
+    r_of_xy(x: number, y: number): number {
+        const {mesh} = this;
+        let t = this.t_of_xy(x, y);
+        if (t < 0) return -1;
+        const distance = (r: number) => Math.hypot(wrapDx(mesh, mesh.x_of_r(r) - x), mesh.y_of_r(r) - y);
+        let r_best = mesh.r_begin_s(3*t), d_best = distance(r_best);
+        let r_neighbors: number[] = [];
+        for (let r_current = -1; r_current !== r_best; ) {
+            r_current = r_best;
+            for (let r of mesh.r_around_r(r_current, r_neighbors)) {
+                if (mesh.is_ghost_r(r)) continue;
+                let d = distance(r);
+                if (d < d_best) { r_best = r; d_best = d; }
+            }
+        }
+        return r_best;
+    }
+
+    /**
+     * Interpolate values at the regions and triangles the way the map
+     * is drawn: each triangle is a fan of three smaller triangles
+     * around its center. Outside the mesh, returns 0.
+     */
+    interpolate(x: number, y: number, value_r: ArrayLike<number>, value_t: ArrayLike<number>): number {
+        const {mesh} = this;
+        let t = this.t_of_xy(x, y);
+        if (t < 0) return 0;
+        let xy = this.corners(t, x, []);
+        let xc = x + wrapDx(mesh, mesh.x_of_t(t) - x), yc = mesh.y_of_t(t);
+        for (let i = 0; i < 3; i++) {
+            let j = (i + 1) % 3;
+            let xi = xy[2*i], yi = xy[2*i + 1], xj = xy[2*j], yj = xy[2*j + 1];
+            // Barycentric coordinates in the triangle i, j, center
+            let area = (xj - xi) * (yc - yi) - (yj - yi) * (xc - xi);
+            let wj = ((x - xi) * (yc - yi) - (y - yi) * (xc - xi)) / area,
+                wc = ((xj - xi) * (y - yi) - (yj - yi) * (x - xi)) / area,
+                wi = 1 - wj - wc;
+            if (wi >= -1e-6 && wj >= -1e-6 && wc >= -1e-6) {
+                return wi * value_r[mesh.r_begin_s(3*t + i)]
+                    + wj * value_r[mesh.r_begin_s(3*t + j)]
+                    + wc * value_t[t];
+            }
+        }
+        return value_t[t];
+    }
+}
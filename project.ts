@@ -0,0 +1,131 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Serialize/deserialize a project: the parameters and the painted
+ * constraints and wind, which together are enough to regenerate the
+ * same map.
+ */
+
+import {WIND_SIZE} from "./heightmap.ts";
+import {initialParams} from "./params.ts";
+
+const PROJECT_FORMAT = "mapgen4-project";
+/* Version 2 added the map size and wrapping, the names, the
+ * palette, and the painted wind. Version 3 moved the wind and
+ * rainfall parameters out of the biomes group. */
+const PROJECT_VERSION = 3;
+
+export type Project = {
+    param: any;
+    size: number;
+    constraints: Float32Array;
+    userHasPainted: boolean;
+    wind: Float32Array | null;
+};
+
+
+/* The constraints are stored as base64 of the float32 bytes, so that
+ * they round trip exactly and take less space than a json array */
+function encodeFloats(array: Float32Array): string {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeFloats(text: string): Float32Array {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+    return new Float32Array(bytes.buffer);
+}
+
+
+export function toProjectFile(project: Project): string {
+    const {width, height, wrap, spacing, mountainSpacing, mesh, names, palette} = project.param;
+    let param = {width, height, wrap, spacing, mountainSpacing, mesh, names, palette};
+    for (let group of Object.keys(initialParams())) { param[group] = project.param[group]; }
+    return JSON.stringify({
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        param,
+        painting: {
+            size: project.size,
+            userHasPainted: project.userHasPainted,
+            constraints: encodeFloats(project.constraints),
+            wind: project.wind && encodeFloats(project.wind),
+        },
+    });
+}
+
+
+/* Version 1 projects were made before the fields in version 2, so
+ * they get the values that everything had then, including the wind
+ * blowing from wind_angle_deg everywhere (wind_field 0). Some
+ * version 1 files already have some of the fields, and keep them. */
+function upgradeFromVersion1(json: any): any {
+    return {
+        ...json,
+        version: 2,
+        param: {
+            width: 1000, height: 1000, wrap: false, names: {}, palette: null,
+            ...json.param,
+            biomes: {wind_field: 0, wind_bending: 0.5, ...json.param?.biomes},
+        },
+        painting: {wind: null, ...json.painting},
+    };
+}
+
+/* Version 2 projects have the wind and rainfall parameters in the
+ * biomes group, where they were before those got their own stages.
+ * The ones a file doesn't have get their version 2 initial values. */
+function upgradeFromVersion2(json: any): any {
+    const {wind_angle_deg = 0, wind_field = 0, wind_bending = 0.5,
+           raininess = 0.9, rain_shadow = 0.5, evaporation = 0.5,
+           ...biomes} = json.param?.biomes ?? {};
+    return {
+        ...json,
+        version: 3,
+        param: {
+            ...json.param,
+            wind: {wind_angle_deg, wind_field, wind_bending},
+            rainfall: {raininess, rain_shadow, evaporation},
+            biomes,
+        },
+    };
+}
+
+export function fromProjectFile(text: string): Project {
+    let json = JSON.parse(text);
+    if (json.format !== PROJECT_FORMAT) throw "not a mapgen4 project file";
+    if (json.version === 1) json = upgradeFromVersion1(json);
+    if (json.version === 2) json = upgradeFromVersion2(json);
+    if (json.version !== PROJECT_VERSION) throw `unsupported project version ${json.version}`;
+    for (let key of ['width', 'height', 'wrap', 'spacing', 'mesh', 'palette']) {
+        if (json.param?.[key] === undefined) throw `project is missing param.${key}`;
+    }
+    if (json.painting?.wind === undefined) throw "project is missing painting.wind";
+    /* Files saved before a stage was added don't have its group.
+     * The parameters still have the initial values they had then. */
+    for (let [group, schema] of Object.entries(initialParams())) {
+        let values = {};
+        for (let [name, initialValue] of schema) { values[name] = initialValue; }
+        json.param[group] = {...values, ...json.param[group]};
+    }
+    const {size, userHasPainted} = json.painting;
+    const constraints = decodeFloats(json.painting.constraints);
+    if (constraints.length !== size * size) throw "project constraints are the wrong size";
+    const wind = json.painting.wind ? decodeFloats(json.painting.wind) : null;
+    if (wind && wind.length !== 2 * WIND_SIZE * WIND_SIZE) throw "project wind is the wrong size";
+    return {
+        param: json.param,
+        size,
+        constraints,
+        userHasPainted: !!userHasPainted,
+        wind,
+    };
+}
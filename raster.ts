@@ -0,0 +1,243 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Rasterize the map on the CPU, at any resolution, without shading.
+ * The elevation and rainfall come from the same quadrilateral
+ * geometry the renderer draws (setMapGeometry), and the river mask
+ * from the same river triangles (setRiverGeometry), with the river
+ * width calculated the way the river shader does it. This only uses
+ * the Map data, so it can run in the worker or headless.
+ */
+
+import Map from "./map.ts";
+import Geometry, {numRenderVertices} from "./geometry.ts";
+import type {Mesh} from "./types.d.ts";
+
+export type RasterLayer = 'elevation' | 'rainfall' | 'river';
+
+/* The values that map to black and white in a png. The rainfall is
+ * often over 1 in wet places, more so with high raininess. */
+export const RASTER_RANGE: {[layer in RasterLayer]: [number, number]} = {
+    elevation: [-1, 1],
+    rainfall: [0, 4],
+    river: [0, 1],
+};
+
+/**
+ * Call back with each pixel whose center is inside the triangle,
+ * with the barycentric weights of the three corners. The corners are
+ * in pixel coordinates. On a map that wraps, the columns wrap too;
+ * otherwise the pixels outside the raster are skipped.
+ */
+function forEachPixel(width: number, height: number, wrap: boolean,
+                      x0: number, y0: number, x1: number, y1: number, x2: number, y2: number,
+                      callback: (p: number, w0: number, w1: number, w2: number) => void) {
+    let area = (x1 - x0) * (y2 - y0) - (y1 - y0) * (x2 - x0);
+    if (area === 0) return;
+    let left = Math.ceil(Math.min(x0, x1, x2) - 0.5),
+        right = Math.floor(Math.max(x0, x1, x2) - 0.5),
+        top = Math.max(0, Math.ceil(Math.min(y0, y1, y2) - 0.5)),
+        bottom = Math.min(height-1, Math.floor(Math.max(y0, y1, y2) - 0.5));
+    if (!wrap) {
+        left = Math.max(0, left);
+        right = Math.min(width-1, right);
+    }
+    for (let row = top; row <= bottom; row++) {
+        let y = row + 0.5;
+        for (let column = left; column <= right; column++) {
+            let x = column + 0.5;
+            let w0 = ((x1 - x) * (y2 - y) - (y1 - y) * (x2 - x)) / area,
+                w1 = ((x2 - x) * (y0 - y) - (y2 - y) * (x0 - x)) / area,
+                w2 = 1 - w0 - w1;
+            if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+            let wrapped = ((column % width) + width) % width;
+            callback(row * width + wrapped, w0, w1, w2);
+        }
+    }
+}
+
+/* Same as GLSL smoothstep, including when edge0 > edge1 */
+function smoothstep(edge0: number, edge1: number, x: number): number {
+    let t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+
+/**
+ * Elevation or rainfall at each pixel, interpolated across the
+ * quadrilaterals like the renderer's a_em attribute, including the
+ * mountain folds.
+ */
+function rasterizeQuads(map: Map, param: any, channel: number, width: number, height: number, /* out */ out: Float32Array) {
+    const mesh = map.mesh as Mesh;
+    const numVertices = numRenderVertices(mesh);
+    let P = new Float32Array(2 * numVertices),
+        em = new Float32Array(2 * numVertices),
+        I = new Int32Array(3 * mesh.numSolidSides);
+    Geometry.setMeshGeometry(mesh, P);
+    Geometry.setMapGeometry(map, param.elevation.mountain_folds, I, em);
+
+    const scaleX = width / mesh.width, scaleY = height / mesh.height;
+    for (let i = 0; i < I.length; i += 3) {
+        let v0 = I[i], v1 = I[i+1], v2 = I[i+2];
+        let a = em[2*v0 + channel], b = em[2*v1 + channel], c = em[2*v2 + channel];
+        forEachPixel(width, height, mesh.wrap,
+                     P[2*v0] * scaleX, P[2*v0+1] * scaleY,
+                     P[2*v1] * scaleX, P[2*v1+1] * scaleY,
+                     P[2*v2] * scaleX, P[2*v2+1] * scaleY,
+                     (p, w0, w1, w2) => { out[p] = w0 * a + w1 * b + w2 * c; });
+    }
+}
+
+/**
+ * How much of each pixel is river or lake, 0 to 1. Each river
+ * triangle is a curve from the middle of one side to the middle of
+ * another, like in frag_river, and overlapping triangles are blended
+ * the way the renderer blends them.
+ */
+function rasterizeRivers(map: Map, param: any, width: number, height: number, /* out */ out: Float32Array) {
+    const mesh = map.mesh as Mesh;
+    let P = new Float32Array(1.5 * 3 * 4 * mesh.numSolidTriangles);
+    let numRiverTriangles = Geometry.setRiverGeometry(map, param.spacing, param.rivers, P);
+
+    const scaleX = width / mesh.width, scaleY = height / mesh.height;
+    for (let i = 0; i < 12 * numRiverTriangles; i += 12) {
+        let width1 = P[i+2], width2 = P[i+3];
+        forEachPixel(width, height, mesh.wrap,
+                     P[i] * scaleX, P[i+1] * scaleY,
+                     P[i+4] * scaleX, P[i+5] * scaleY,
+                     P[i+8] * scaleX, P[i+9] * scaleY,
+                     (p, r, _g, b) => {
+                         let xt = b + r > 0 ? r / (b + r) : 0.5;
+                         let dist = Math.sqrt(b*b + r*r + b*r);
+                         let riverWidth = 0.35 * (width1 + (width2 - width1) * xt);
+                         let in_river = smoothstep(riverWidth + 0.025, Math.max(0.0, riverWidth - 0.05), Math.abs(dist - 0.5));
+                         out[p] = in_river + out[p] * (1 - in_river);
+                     });
+    }
+}
+
+
+/**
+ * Rasterize one layer of the map to width✕height pixels covering the
+ * whole map, row by row from the top (y = 0).
+ */
+export function rasterize(map: Map, param: any, layer: RasterLayer, width: number, height: number): Float32Array {
+    if (!(width >= 1 && height >= 1)) throw `invalid raster size ${width}✕${height}`;
+    let out = new Float32Array(width * height);
+    if (layer === 'elevation') rasterizeQuads(map, param, 0, width, height, out);
+    else if (layer === 'rainfall') rasterizeQuads(map, param, 1, width, height, out);
+    else if (layer === 'river') rasterizeRivers(map, param, width, height, out);
+    else throw `unknown raster layer ${layer}`;
+    return out;
+}
+
+/* The raster size for a map, with the longer side being size pixels */
+export function rasterSize(mesh: {width: number; height: number}, size: number): [number, number] {
+    let scale = size / Math.max(mesh.width, mesh.height);
+    return [Math.max(1, Math.round(mesh.width * scale)), Math.max(1, Math.round(mesh.height * scale))];
+}
+
+
+let crcTable: Uint32Array | null = null;
+function crc32(bytes: Uint8Array, start: number, end: number): number {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) { c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; }
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) { crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8); }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode values as a 16-bit grayscale png, with low..high mapped to
+ * 0..65535. The pixel data is stored uncompressed (deflate's stored
+ * blocks) so that this doesn't need a compression library; a 16-bit
+ * heightmap doesn't compress much anyway.
+ */
+export function encodePNG16(values: Float32Array, width: number, height: number, low: number, high: number): Uint8Array {
+    const rowLength = 1 + 2 * width; // filter type byte, then the pixels
+    const rawLength = height * rowLength;
+    const MAX_BLOCK = 0xffff;
+    const numBlocks = Math.max(1, Math.ceil(rawLength / MAX_BLOCK));
+    const zlibLength = 2 + 5 * numBlocks + rawLength + 4;
+    let png = new Uint8Array(8 + (12 + 13) + (12 + zlibLength) + 12);
+    let view = new DataView(png.buffer);
+
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 0);
+    let p = 8;
+    function beginChunk(type: string, length: number) {
+        view.setUint32(p, length);
+        for (let i = 0; i < 4; i++) { png[p + 4 + i] = type.charCodeAt(i); }
+        p += 8;
+    }
+    function endChunk(length: number) {
+        view.setUint32(p, crc32(png, p - length - 4, p));
+        p += 4;
+    }
+
+    beginChunk('IHDR', 13);
+    view.setUint32(p, width);
+    view.setUint32(p + 4, height);
+    png.set([16 /* bit depth */, 0 /* grayscale */, 0, 0, 0], p + 8);
+    p += 13;
+    endChunk(13);
+
+    // The pixel rows are written directly into the stored blocks
+    beginChunk('IDAT', zlibLength);
+    png[p++] = 0x78; png[p++] = 0x01;
+    let a = 1, b = 0; // adler32 of the uncompressed data
+    let raw = 0, blockEnd = 0;
+    function writeByte(byte: number) {
+        if (raw === blockEnd) {
+            let blockLength = Math.min(MAX_BLOCK, rawLength - raw);
+            blockEnd += blockLength;
+            png[p++] = blockEnd === rawLength ? 1 : 0;
+            view.setUint16(p, blockLength, true);
+            view.setUint16(p + 2, ~blockLength & 0xffff, true);
+            p += 4;
+        }
+        png[p++] = byte;
+        raw++;
+        a = (a + byte) % 65521;
+        b = (b + a) % 65521;
+    }
+    const scale = 65535 / (high - low);
+    for (let y = 0; y < height; y++) {
+        writeByte(0); // no filter
+        for (let x = 0; x < width; x++) {
+            let value = Math.round((values[y * width + x] - low) * scale);
+            value = Math.max(0, Math.min(65535, value));
+            writeByte(value >> 8);
+            writeByte(value & 0xff);
+        }
+    }
+    view.setUint32(p, ((b << 16) | a) >>> 0);
+    p += 4;
+    endChunk(zlibLength);
+
+    beginChunk('IEND', 0);
+    endChunk(0);
+    if (p !== png.length) throw "wrong size";
+    return png;
+}
+
+/**
+ * Rasterize a layer, with the longer side being size pixels, and
+ * encode it as a 16-bit png, or as raw little-endian float32 values
+ * with no header.
+ */
+export function exportRaster(map: Map, param: any, layer: RasterLayer, size: number, format: 'png' | 'f32'): {width: number; height: number; data: Uint8Array} {
+    let [width, height] = rasterSize(map.mesh as Mesh, size);
+    let values = rasterize(map, param, layer, width, height);
+    if (format === 'f32') return {width, height, data: new Uint8Array(values.buffer)};
+    if (format === 'png') return {width, height, data: encodePNG16(values, width, height, ...RASTER_RANGE[layer])};
+    throw `unknown raster format ${format}`;
+}
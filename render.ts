@@ -7,8 +7,11 @@
  */
 
 import {vec2, vec4, mat4} from 'gl-matrix';
-import colormap from "./colormap.ts";
-import Geometry from "./geometry.ts";
+import colormap, {colormap as makeColormap, parseColor, type Palette} from "./colormap.ts";
+import {PALETTES} from "./palettes.ts";
+import {BIOMES} from "./biomes.ts";
+import Geometry, {numRenderVertices} from "./geometry.ts";
+import PointLocation from "./point-location.ts";
 import type {Mesh} from "./types.d.ts";
 
 //////////////////////////////////////////////////////////////////////
@@ -18,6 +21,7 @@ type Buffer = {
     bind(): void;
     vertexAttribPointer(index: GLuint, size: GLint, type: GLenum, normalized: GLboolean, stride: GLsizei, offset: GLintptr): void;
     subdata(offset: number, data: AllowSharedBufferSource): void;
+    data(data: AllowSharedBufferSource): void;
 }
 
 type Program = {
@@ -73,6 +77,12 @@ class WebGLWrapper {
                 this.bind();
                 gl.bufferSubData(target, offset, data);
             },
+            /* Replace the contents, which can change the size; the
+             * vertex array objects still point to this buffer */
+            data(data: AllowSharedBufferSource) {
+                this.bind();
+                gl.bufferData(target, data, options.update === 'static'? gl.STATIC_DRAW : gl.DYNAMIC_DRAW);
+            },
         };
     }
 
@@ -251,8 +261,8 @@ const frag_river = `
     precision mediump float;
     in vec2 v_riverwidth;
     in vec3 v_barycentric;
+    uniform vec3 u_river_color;
     out vec4 out_fragcolor;
-    const vec3 blue = vec3(0.2, 0.5, 0.7);
     void main() {
         float xt = v_barycentric.r / (v_barycentric.b + v_barycentric.r);
         float dist = sqrt(v_barycentric.b*v_barycentric.b + v_barycentric.r*v_barycentric.r + v_barycentric.b*v_barycentric.r);
@@ -265,7 +275,7 @@ const frag_river = `
         // be calculated based on the matrix transform because we want it to be roughly 1 pixel; the min width should
         // probably also be 1 pixel
         float in_river = smoothstep(width + 0.025, max(0.0, width - 0.05), abs(dist - pos));
-        vec4 river_color = in_river * vec4(blue, 1);
+        vec4 river_color = in_river * vec4(u_river_color, 1);
         // HACK: for debugging - if (min(v_barycentric.r, min(v_barycentric.g, v_barycentric.b)) < 0.05) river_color = vec4(0, 0, 0, 1);
         out_fragcolor = river_color;
     }`;
@@ -327,20 +337,28 @@ const frag_depth = `
 const vert_drape = `
     precision highp float;
     uniform mat4 u_projection;
+    uniform vec2 u_world_size;
+    uniform bool u_wrap;
     in vec2 a_xy;
     in vec2 a_em;
+    in float a_biome, a_temperature, a_territory;
     out vec2 v_em, v_uv, v_xy;
-    out float v_z;
+    out float v_z, v_temperature;
+    flat out int v_biome, v_territory;
     void main() {
         v_em = a_em;
-        vec2 xy_clamped = clamp(a_xy, vec2(0, 0), vec2(1000, 1000));
+        v_biome = int(a_biome);
+        v_territory = int(a_territory);
+        v_temperature = a_temperature;
+        vec2 xy_clamped = clamp(a_xy, vec2(0, 0), u_world_size);
+        if (u_wrap) xy_clamped.x = a_xy.x; // no east or west boundary
         v_z = max(0.0, a_em.x); // oceans with e<0 still rendered at z=0
         if (xy_clamped != a_xy) { // boundary points
             v_z = -0.5;
             v_em = vec2(0.0, 0.0);
         }
         vec4 pos = vec4(u_projection * vec4(xy_clamped, v_z, 1));
-        v_uv = a_xy / 1000.0;
+        v_uv = a_xy / u_world_size;
         v_xy = (1.0 + pos.xy) * 0.5;
         gl_Position = pos;
     }`;
@@ -351,19 +369,27 @@ const frag_drape = `
     uniform sampler2D u_elevation;
     uniform sampler2D u_water;
     uniform sampler2D u_depth;
-    uniform vec2 u_light_angle, u_inverse_texture_size;
+    uniform sampler2D u_biomemap;
+    uniform vec2 u_light_angle, u_inverse_texture_size, u_world_size;
     uniform float u_slope, u_flat,
                   u_ambient, u_overhead,
                   u_outline_strength, u_outline_coast, u_outline_water,
                   u_outline_depth, u_outline_threshold,
-                  u_biome_colors;
+                  u_biome_colors, u_biome_ids, u_territory_tint;
     in vec2 v_uv, v_xy, v_em;
-    in float v_z;
+    in float v_z, v_temperature;
+    flat in int v_biome, v_territory;
     out vec4 out_fragcolor;
 
     const vec3 neutral_land_biome = vec3(0.9, 0.8, 0.7);
     const vec3 neutral_water_biome = 0.8 * neutral_land_biome;
 
+    // Spread the territory hues around the color wheel by the golden ratio
+    vec3 territory_color(int territory) {
+        float hue = fract(float(territory) * 0.618034);
+        return 0.6 + 0.4 * cos(6.283185 * (hue + vec3(0.0, 0.333, 0.667)));
+    }
+
     void main() {
         vec2 sample_offset = 0.5 * u_inverse_texture_size;
         vec2 pos = v_uv + sample_offset;
@@ -375,7 +401,9 @@ const frag_drape = `
         float zN = texture(u_elevation, pos - dy).x;
         float zW = texture(u_elevation, pos - dx).x;
         float zS = texture(u_elevation, pos + dy).x;
-        vec3 slope_vector = normalize(vec3(zS-zN, zE-zW, u_overhead * (u_inverse_texture_size.x + u_inverse_texture_size.y)));
+        // texels are wider than they are tall on a wide map
+        vec2 stretch = u_world_size / max(u_world_size.x, u_world_size.y);
+        vec3 slope_vector = normalize(vec3((zS-zN) / stretch.y, (zE-zW) / stretch.x, u_overhead * (u_inverse_texture_size.x + u_inverse_texture_size.y)));
         vec3 light_vector = normalize(vec3(u_light_angle, mix(u_slope, u_flat, slope_vector.z)));
         float light = u_ambient + max(0.0, dot(light_vector, slope_vector));
         vec3 neutral_biome_color = neutral_land_biome;
@@ -388,8 +416,19 @@ const frag_drape = `
             water_color.a = 0.0; neutral_biome_color = neutral_water_biome;
         }
         vec3 biome_color = texture(u_colormap, vec2(z, v_em.y)).rgb;
+        if (z >= 0.5 && v_z >= 0.0) {
+            // snow below freezing, and glaciers where it's much colder and wet enough
+            float snow = smoothstep(1.0, -3.0, v_temperature);
+            float glacier = smoothstep(-8.0, -14.0, v_temperature) * smoothstep(0.2, 0.4, v_em.y);
+            biome_color = mix(biome_color, vec3(0.95, 0.95, 0.97), snow);
+            biome_color = mix(biome_color, vec3(0.75, 0.85, 0.95), glacier);
+        }
+        biome_color = mix(biome_color, texelFetch(u_biomemap, ivec2(v_biome, 0), 0).rgb, u_biome_ids);
         water_color = mix(vec4(neutral_water_biome * (1.2 - water_color.a), water_color.a), water_color, u_biome_colors);
         biome_color = mix(neutral_biome_color, biome_color, u_biome_colors);
+        if (v_territory >= 0 && z >= 0.5 && v_z >= 0.0) {
+            biome_color = mix(biome_color, territory_color(v_territory), 0.5 * u_territory_tint);
+        }
         if (v_z < 0.0) {
             // at the exterior boundary, we'll draw soil or water underground
             float land_or_water = smoothstep(0.0, -0.001, v_em.x - v_z);
@@ -455,23 +494,34 @@ const fbo_texture_size: number = 2048;
 export default class Renderer {
     numRiverTriangles: number = 0;
 
+    worldSize: [number, number];
+    wrap: boolean;
     topdown: mat4;
     projection: mat4;
     inverse_projection: mat4;
 
     a_quad_xy: Float32Array;
     a_quad_em: Float32Array;
+    a_quad_biome: Float32Array;
+    a_quad_temperature: Float32Array;
+    a_quad_territory: Float32Array;
+    z_r: Float32Array; // the height the map is drawn at, for screenToWorld
+    z_t: Float32Array;
+    locator: PointLocation;
     quad_elements_length: number; // have to store the original size because the worker thread borrows the actual array
     quad_elements: Int32Array;
     a_river_xyww: Float32Array;
 
     screenshotCanvas: HTMLCanvasElement;
     screenshotCallback: () => void;
+    overlayCallback: (projection: mat4, renderParam: any) => void = null;
     renderParam: any;
 
     webgl: WebGLWrapper;
 
     texture_colormap: Texture;
+    texture_biomemap: Texture;
+    river_color: number[] = parseColor(PALETTES[0].river).map(c => c / 255);
 
     fbo_river: Framebuffer;
     fbo_land: Framebuffer;
@@ -487,6 +537,9 @@ export default class Renderer {
     buffer_fullscreen: Buffer;
     buffer_quad_xy: Buffer;
     buffer_quad_em: Buffer;
+    buffer_quad_biome: Buffer;
+    buffer_quad_temperature: Buffer;
+    buffer_quad_territory: Buffer;
     buffer_quad_elements: Buffer;
     buffer_river_xyww: Buffer;
 
@@ -496,40 +549,29 @@ export default class Renderer {
 
         this.resizeCanvas();
 
-        this.topdown = mat4.create();
-        mat4.translate(this.topdown, this.topdown, [-1, -1, 0]);
-        mat4.scale(this.topdown, this.topdown, [1/500, 1/500, 1]);
-
         this.projection = mat4.create();
         this.inverse_projection = mat4.create();
 
-        this.a_quad_xy = new Float32Array(2 * (mesh.numRegions + mesh.numTriangles));
-        this.a_quad_em = new Float32Array(2 * (mesh.numRegions + mesh.numTriangles));
-        this.quad_elements_length = 3 * mesh.numSolidSides;
-        this.quad_elements = new Int32Array(this.quad_elements_length);
-        /* NOTE: The maximum number of river triangles will be when
-         * there's a single binary tree that has every node filled.
-         * Each of the N/2 leaves will produce 1 output triangle and
-         * each of the N/2 nodes will produce 2 triangles. On average
-         * there will be 1.5 output triangles per input triangle. */
-        const numRiverVertices = 1.5 /* river triangles per input triangle */ * 3 /* vertices per triangle */ * mesh.numSolidTriangles;
-        this.a_river_xyww = new Float32Array(numRiverVertices * 4);
-
-        Geometry.setMeshGeometry(mesh, this.a_quad_xy);
+        this.allocateMeshArrays(mesh);
 
         this.buffer_quad_xy = this.webgl.createBuffer({update: 'static', data: this.a_quad_xy});
         this.buffer_quad_em = this.webgl.createBuffer({update: 'dynamic', data: this.a_quad_em});
+        this.buffer_quad_biome = this.webgl.createBuffer({update: 'dynamic', data: this.a_quad_biome});
+        this.buffer_quad_temperature = this.webgl.createBuffer({update: 'dynamic', data: this.a_quad_temperature});
+        this.buffer_quad_territory = this.webgl.createBuffer({update: 'dynamic', data: this.a_quad_territory});
         this.buffer_quad_elements = this.webgl.createBuffer({indices: true, update: 'dynamic', data: this.quad_elements});
 
         this.buffer_fullscreen = this.webgl.createBuffer({update: 'static', data: new Float32Array([-2, 0, 0, -2, 2, 2])});
         this.buffer_river_xyww = this.webgl.createBuffer({update: 'dynamic', data: this.a_river_xyww});
 
         this.texture_colormap = this.webgl.createTexture({data: colormap.data, width: colormap.width, height: colormap.height, filter: 'nearest'});
+        this.texture_biomemap = this.webgl.createTexture({data: Uint8Array.from(BIOMES.flatMap(biome => [...biome.color, 255])), width: BIOMES.length, height: 1, filter: 'nearest'});
 
         this.fbo_land  = this.webgl.createFramebuffer(fbo_texture_size, fbo_texture_size, {depth: false, internalFormat: this.webgl.gl.R16F, filter: 'linear'});
         this.fbo_depth = this.webgl.createFramebuffer(fbo_texture_size, fbo_texture_size, {depth: true, internalFormat: this.webgl.gl.R16F, filter: 'nearest'}); // NOTE: linear requires adjusting parameters
         this.fbo_river = this.webgl.createFramebuffer(fbo_texture_size, fbo_texture_size, {depth: false, filter: 'linear'}); // linear makes rivers look better
         this.fbo_drape = this.webgl.createFramebuffer(fbo_texture_size, fbo_texture_size, {depth: true, filter: 'linear'}); // linear to smooth out edges
+        this.setTextureWrap();
 
         this.program_river = this.webgl.createProgram('river', vert_river, frag_river, (gl, program) => {
             this.buffer_river_xyww.vertexAttribPointer(program.a_xyww, 4, gl.FLOAT, false, 0, 0);
@@ -547,6 +589,9 @@ export default class Renderer {
         this.program_drape = this.webgl.createProgram('drape', vert_drape, frag_drape, (gl, program) => {
             this.buffer_quad_xy.vertexAttribPointer(program.a_xy, 2, gl.FLOAT, false, 0, 0);
             this.buffer_quad_em.vertexAttribPointer(program.a_em, 2, gl.FLOAT, false, 0, 0);
+            this.buffer_quad_biome.vertexAttribPointer(program.a_biome, 1, gl.FLOAT, false, 0, 0);
+            this.buffer_quad_temperature.vertexAttribPointer(program.a_temperature, 1, gl.FLOAT, false, 0, 0);
+            this.buffer_quad_territory.vertexAttribPointer(program.a_territory, 1, gl.FLOAT, false, 0, 0);
             this.buffer_quad_elements.bind();
         });
         this.program_final = this.webgl.createProgram('final', vert_final, frag_final, (gl, program) => {
@@ -562,24 +607,129 @@ export default class Renderer {
         this.startDrawingLoop();
     }
 
+    /* The arrays depend on the mesh size; the worker fills in all
+     * but a_quad_xy, which never changes for a given mesh */
+    allocateMeshArrays(mesh: Mesh) {
+        const numVertices = numRenderVertices(mesh);
+        this.a_quad_xy = new Float32Array(2 * numVertices);
+        this.a_quad_em = new Float32Array(2 * numVertices);
+        this.a_quad_biome = new Float32Array(numVertices);
+        this.a_quad_temperature = new Float32Array(numVertices);
+        this.a_quad_territory = new Float32Array(numVertices).fill(-1);
+        this.z_r = new Float32Array(mesh.numRegions);
+        this.z_t = new Float32Array(mesh.numTriangles);
+        this.locator = new PointLocation(mesh);
+        this.quad_elements_length = 3 * mesh.numSolidSides;
+        this.quad_elements = new Int32Array(this.quad_elements_length);
+        /* NOTE: The maximum number of river triangles will be when
+         * there's a single binary tree that has every node filled.
+         * Each of the N/2 leaves will produce 1 output triangle and
+         * each of the N/2 nodes will produce 2 triangles. On average
+         * there will be 1.5 output triangles per input triangle. */
+        const numRiverVertices = 1.5 /* river triangles per input triangle */ * 3 /* vertices per triangle */ * mesh.numSolidTriangles;
+        this.a_river_xyww = new Float32Array(numRiverVertices * 4);
+        this.numRiverTriangles = 0;
+
+        Geometry.setMeshGeometry(mesh, this.a_quad_xy);
+
+        /* The land and river textures cover the map bounds, even if
+         * that means stretching a rectangular map to fit */
+        this.worldSize = [mesh.width, mesh.height];
+        this.wrap = mesh.wrap;
+        this.topdown = mat4.create();
+        mat4.translate(this.topdown, this.topdown, [-1, -1, 0]);
+        mat4.scale(this.topdown, this.topdown, [2/mesh.width, 2/mesh.height, 1]);
+    }
+
+    /* Switch to a different mesh, e.g. after changing the resolution.
+     * The map data is empty until the worker sends it for this mesh. */
+    setMesh(mesh: Mesh) {
+        this.allocateMeshArrays(mesh);
+        this.buffer_quad_xy.data(this.a_quad_xy);
+        this.buffer_quad_em.data(this.a_quad_em);
+        this.buffer_quad_biome.data(this.a_quad_biome);
+        this.buffer_quad_temperature.data(this.a_quad_temperature);
+        this.buffer_quad_territory.data(this.a_quad_territory);
+        this.buffer_quad_elements.data(this.quad_elements);
+        this.buffer_river_xyww.data(this.a_river_xyww);
+        this.setTextureWrap();
+    }
+
+    /* On a map that wraps east-west, the land and river textures tile
+     * horizontally, because the drape reads them past the seam */
+    setTextureWrap() {
+        const {gl} = this.webgl;
+        for (let texture of [this.fbo_land.texture, this.fbo_river.texture]) {
+            texture.bind();
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, this.wrap ? gl.REPEAT : gl.CLAMP_TO_EDGE);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /* Replace the colormap and river color; the colormap texture is
+     * always the same size, so it's updated in place. The palette's
+     * render parameters are up to the caller. */
+    setPalette(palette: Palette) {
+        const {gl} = this.webgl;
+        const data = makeColormap(palette);
+        this.texture_colormap.bind();
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, colormap.width, colormap.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        this.river_color = parseColor(palette.river).map(c => c / 255);
+    }
+
+    /* A map that wraps east-west is drawn three times, shifted by the
+     * map width, so that the parts of the mesh that stick out past
+     * one side of the seam also show up on the other side */
+    forEachCopy(projection: mat4, draw: (projection: mat4) => void) {
+        if (!this.wrap) { draw(projection); return; }
+        const width = this.worldSize[0];
+        for (let dx of [-width, 0, width]) {
+            draw(mat4.translate(mat4.create(), projection, [dx, 0, 0]));
+        }
+    }
+
+    /* When the map is tilted, a point on the screen is over a line
+     * through the world, from z=1 (the highest the map gets) down to
+     * z=0. Walk down the line until it goes below the drawn map, then
+     * narrow it down. The steps are small enough not to skip over a
+     * triangle. When the map isn't tilted, the line is vertical. */
     screenToWorld(coords: [number, number]): vec2 {
         /* convert from screen 2d (inverted y) to 4d for matrix multiply */
-        let glCoords = vec4.fromValues(
-            coords[0] * 2 - 1,
-            1 - coords[1] * 2,
-            /* TODO: z should be 0 only when tilt_deg is 0;
-             * need to figure out the proper z value here */
-            0,
-            1
-        );
-        /* it returns vec4 but we only need vec2; they're compatible */
-        let transformed = vec4.transformMat4(vec4.create(), glCoords, this.inverse_projection);
-        return [transformed[0], transformed[1]];
+        const glX = coords[0] * 2 - 1, glY = 1 - coords[1] * 2;
+        let near = vec4.transformMat4(vec4.create(), [glX, glY, 0, 1], this.inverse_projection);
+        let far = vec4.transformMat4(vec4.create(), [glX, glY, 1, 1], this.inverse_projection);
+        const dz = far[2] - near[2];
+        if (Math.abs(dz) < 1e-9) { return [near[0], near[1]]; }
+
+        const {locator, z_r, z_t} = this;
+        const u_top = (1 - near[2]) / dz, u_bottom = (0 - near[2]) / dz;
+        const x0 = near[0] + u_top * (far[0] - near[0]), y0 = near[1] + u_top * (far[1] - near[1]),
+              x1 = near[0] + u_bottom * (far[0] - near[0]), y1 = near[1] + u_bottom * (far[1] - near[1]);
+        function below(f: number): boolean {
+            return 1 - f <= locator.interpolate(x0 + f * (x1 - x0), y0 + f * (y1 - y0), z_r, z_t);
+        }
+        const numSteps = Math.min(1000, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / (0.25 * locator.cellWidth)));
+        let f0 = 0, f1 = 1;
+        for (let i = 1; i <= numSteps; i++) {
+            if (below(i / numSteps)) { f0 = (i - 1) / numSteps; f1 = i / numSteps; break; }
+        }
+        for (let i = 0; i < 10; i++) {
+            let f = 0.5 * (f0 + f1);
+            if (below(f)) { f1 = f; } else { f0 = f; }
+        }
+        return [x0 + f1 * (x1 - x0), y0 + f1 * (y1 - y0)];
     }
 
     /* Update the buffers with the latest map data */
     updateMap() {
+        const numRegions = this.z_r.length, numTriangles = this.z_t.length;
+        for (let r = 0; r < numRegions; r++) { this.z_r[r] = Math.max(0.0, this.a_quad_em[2*r]); }
+        for (let t = 0; t < numTriangles; t++) { this.z_t[t] = Math.max(0.0, this.a_quad_em[2*(numRegions + t)]); }
         this.buffer_quad_em.subdata(0, this.a_quad_em);
+        this.buffer_quad_biome.subdata(0, this.a_quad_biome);
+        this.buffer_quad_temperature.subdata(0, this.a_quad_temperature);
+        this.buffer_quad_territory.subdata(0, this.a_quad_territory);
         this.buffer_quad_elements.subdata(0, this.quad_elements);
         this.buffer_river_xyww.subdata(0, this.a_river_xyww.subarray(0, 4 * 3 * this.numRiverTriangles));
     }
@@ -610,38 +760,44 @@ export default class Renderer {
 
     drawRivers() {
         this.drawGeneric(this.program_river, this.fbo_river, (gl, program) => {
-            gl.uniformMatrix4fv(program.u_projection, false, this.topdown);
-
             gl.enable(gl.BLEND);
             gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
             gl.blendEquation(gl.FUNC_ADD);
+            gl.uniform3fv(program.u_river_color, this.river_color);
 
-            gl.drawArrays(gl.TRIANGLES, 0, 3 * this.numRiverTriangles);
+            this.forEachCopy(this.topdown, (projection) => {
+                gl.uniformMatrix4fv(program.u_projection, false, projection);
+                gl.drawArrays(gl.TRIANGLES, 0, 3 * this.numRiverTriangles);
+            });
         });
     }
 
     drawLand(outline_water: number) {
         this.drawGeneric(this.program_land, this.fbo_land, (gl, program) => {
-            gl.uniformMatrix4fv(program.u_projection, false, this.topdown);
             gl.uniform1f(program.u_outline_water, outline_water);
             this.fbo_river.texture.activate(gl.TEXTURE0, program.u_water);
 
-            gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            this.forEachCopy(this.topdown, (projection) => {
+                gl.uniformMatrix4fv(program.u_projection, false, projection);
+                gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            });
         });
     }
 
     drawDepth() {
         this.drawGeneric(this.program_depth, this.fbo_depth, (gl, program) => {
-            gl.uniformMatrix4fv(program.u_projection, false, this.projection);
-
-            gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            this.forEachCopy(this.projection, (projection) => {
+                gl.uniformMatrix4fv(program.u_projection, false, projection);
+                gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            });
         });
     }
 
     drawDrape(renderParam: any) {
         const light_angle_rad = Math.PI / 180 * (renderParam.light_angle_deg + renderParam.rotate_deg);
         this.drawGeneric(this.program_drape, this.fbo_drape, (gl, program) => {
-            gl.uniformMatrix4fv(program.u_projection, false, this.projection);
+            gl.uniform2fv(program.u_world_size, this.worldSize);
+            gl.uniform1i(program.u_wrap, this.wrap ? 1 : 0);
             gl.uniform2fv(program.u_light_angle, [Math.cos(light_angle_rad), Math.sin(light_angle_rad)]);
             gl.uniform2fv(program.u_inverse_texture_size, [1.5 / this.fbo_drape.texture.width, 1.5 / this.fbo_drape.texture.height]);
             gl.uniform1f(program.u_slope, renderParam.slope);
@@ -654,13 +810,19 @@ export default class Renderer {
             gl.uniform1f(program.u_outline_strength, renderParam.outline_strength);
             gl.uniform1f(program.u_outline_threshold, renderParam.outline_threshold / 1000);
             gl.uniform1f(program.u_biome_colors, renderParam.biome_colors);
+            gl.uniform1f(program.u_biome_ids, renderParam.biome_ids);
+            gl.uniform1f(program.u_territory_tint, renderParam.territory_tint);
 
             this.texture_colormap.activate(gl.TEXTURE0, program.u_colormap);
             this.fbo_land.texture.activate(gl.TEXTURE1, program.u_elevation);
             this.fbo_river.texture.activate(gl.TEXTURE2, program.u_water);
             this.fbo_depth.texture.activate(gl.TEXTURE3, program.u_depth);
+            this.texture_biomemap.activate(gl.TEXTURE4, program.u_biomemap);
 
-            gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            this.forEachCopy(this.projection, (projection) => {
+                gl.uniformMatrix4fv(program.u_projection, false, projection);
+                gl.drawElements(gl.TRIANGLES, this.quad_elements_length, gl.UNSIGNED_INT, 0);
+            });
         });
     }
 
@@ -727,6 +889,7 @@ export default class Renderer {
 
             /* Draw the final texture to the canvas; this slightly blurs the outlines */
             this.drawFinal([0.5 / fbo_texture_size, 0.5 / fbo_texture_size]);
+            this.overlayCallback?.(this.projection, renderParam);
 
             if (this.screenshotCallback) {
                 const ctx = this.screenshotCanvas.getContext('2d');
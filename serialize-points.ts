@@ -8,7 +8,18 @@
 
 import {type PointsData} from "./generate-points.ts";
 
-const MAP_FLOAT_RANGE: [number, number] = [-100, 1000 + 100]; // assume spacing < 100
+/*
+ * File layout, all 16-bit unsigned:
+ *
+ *   numExteriorBoundaryPoints, numInteriorBoundaryPoints, numMountainPoints,
+ *   width, height, wrap (1 if the map wraps east-west, else 0),
+ *   x0, y0, x1, y1, …
+ *
+ * The coordinates are scaled to the full 16-bit range over the map
+ * bounds plus a margin for the exterior boundary points.
+ */
+const HEADER_LENGTH = 6;
+const MARGIN = 100; // assume spacing < 100
 const UINT_RANGE: [number, number] = [0, (1 << 16) - 1];
 
 function rescale(value: number, before: [number, number], after: [number, number]): number {
@@ -21,13 +32,22 @@ export function fromPointsFile(data: Uint16Array): PointsData {
     let numExteriorBoundaryPoints = data[0];
     let numInteriorBoundaryPoints = data[1];
     let numMountainPoints = data[2];
+    let width = data[3];
+    let height = data[4];
+    let wrap = data[5] === 1;
+    if (!(width > 0 && height > 0)) throw "points file has no map size";
+    const xRange: [number, number] = [-MARGIN, width + MARGIN],
+          yRange: [number, number] = [-MARGIN, height + MARGIN];
     let points = [];
-    for (let i = 3; i < data.length; i += 2) {
-        let x = rescale(data[i], UINT_RANGE, MAP_FLOAT_RANGE);
-        let y = rescale(data[i+1], UINT_RANGE, MAP_FLOAT_RANGE);
+    for (let i = HEADER_LENGTH; i < data.length; i += 2) {
+        let x = rescale(data[i], UINT_RANGE, xRange);
+        let y = rescale(data[i+1], UINT_RANGE, yRange);
         points.push([x, y]);
     }
     return {
+        width,
+        height,
+        wrap,
         points,
         numExteriorBoundaryPoints,
         numInteriorBoundaryPoints,
@@ -37,14 +57,19 @@ export function fromPointsFile(data: Uint16Array): PointsData {
 
 
 export function toPointsFile(p: PointsData): Uint16Array {
+    const xRange: [number, number] = [-MARGIN, p.width + MARGIN],
+          yRange: [number, number] = [-MARGIN, p.height + MARGIN];
     let data: number[] = [
         p.numExteriorBoundaryPoints,
         p.numInteriorBoundaryPoints,
-        p.numMountainPoints
+        p.numMountainPoints,
+        p.width,
+        p.height,
+        p.wrap ? 1 : 0,
     ];
     for (let [x, y] of p.points) {
-        data.push(rescale(x, MAP_FLOAT_RANGE, UINT_RANGE),
-                  rescale(y, MAP_FLOAT_RANGE, UINT_RANGE));
+        data.push(rescale(x, xRange, UINT_RANGE),
+                  rescale(y, yRange, UINT_RANGE));
     }
 
     return Uint16Array.from(data);
@@ -0,0 +1,294 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The map generator is a pipeline of stages. Each stage has a group
+ * of parameters, which get a group of sliders in the UI, and reads
+ * and writes arrays in the Map. It can also read the parameters of
+ * other stages, if it says which. The built-in stages are registered
+ * here. To add a stage, call registerStage() at the end of this
+ * file, or in a module imported at the end of this file, so that the
+ * worker, the sliders, and the command line version all have it.
+ */
+
+import type Map from "./map.ts";
+import type {Rect} from "./heightmap.ts";
+
+/* Each parameter is [name, initial value, low, high], and optionally
+ * the slider step, which is 0.001 by default */
+export type ParamSchema = [string, number, number, number, number?];
+
+export type Constraints = {
+    size: number;
+    constraints: Float32Array;
+    wind?: Float32Array; // WIND_SIZE✕WIND_SIZE vectors, see heightmap.ts
+};
+
+/* What the stages need besides the Map and the parameters. The
+ * worker keeps this from one update to the next. */
+export type StageContext = {
+    constraints: Constraints;
+    dirty: Rect | null; // if not null, only this part of the constraints changed
+    t_changed: Set<number> | null; // elevation changed since the rivers ran; null for everywhere
+    partialRivers: boolean; // the rivers were last updated in part, so they can differ from a full update
+    path: string[]; // which kind of update the stages did, for the timing display
+};
+
+export type Stage = {
+    name: string; // also the name of the parameter group
+    param: ParamSchema[];
+    paramInputs: string[]; // names of the other stages whose parameters this reads
+    inputs: string[]; // names of the Map arrays this reads
+    outputs: string[]; // names of the Map arrays this writes
+    run: (map: Map, param: any, context: StageContext) => void;
+};
+
+const registry: Stage[] = [];
+
+/**
+ * Add a stage, at the end or before the named stage. A stage that
+ * reads an array runs after the stages registered before it that
+ * write that array, so the registration order decides which version
+ * of an array that's updated in place, like elevation_t, it sees.
+ */
+export function registerStage(stage: Stage, before: string | null = null) {
+    if (registry.some(other => other.name === stage.name)) throw `there's already a stage named ${stage.name}`;
+    let i = before === null ? registry.length : registry.findIndex(other => other.name === before);
+    if (i < 0) throw `no stage named ${before}`;
+    registry.splice(i, 0, stage);
+}
+
+/* For each stage, the indices of the stages that it has to run
+ * after. If no stage registered before it writes an array it reads,
+ * it runs after the ones registered after it that do. Reading the
+ * parameters of another stage doesn't make it run after that stage,
+ * because the parameters don't come from running it. */
+function dependencies(stages: Stage[]): Set<number>[] {
+    return stages.map((stage, i) => {
+        for (let name of stage.paramInputs) {
+            if (!stages.some(other => other.name === name)) throw `stage ${stage.name} reads the parameters of ${name}, which isn't a stage`;
+        }
+        let after = new Set<number>();
+        for (let input of stage.inputs) {
+            let writers = stages.map((_, j) => j).filter(j => j !== i && stages[j].outputs.includes(input));
+            let earlier = writers.filter(j => j < i);
+            if (writers.length === 0) throw `stage ${stage.name} reads ${input}, which no stage writes`;
+            for (let j of earlier.length > 0 ? earlier : writers) { after.add(j); }
+        }
+        return after;
+    });
+}
+
+/**
+ * The stages in the order they run. Of the stages that are ready,
+ * the one registered first goes next, so the order only differs from
+ * the registration order where a dependency requires it.
+ */
+export function orderStages(): Stage[] {
+    let after = dependencies(registry);
+    let done = registry.map(() => false);
+    let order: Stage[] = [];
+    while (order.length < registry.length) {
+        let i = registry.findIndex((_, i) => !done[i] && [...after[i]].every(j => done[j]));
+        if (i < 0) throw `stages ${registry.filter((_, i) => !done[i]).map(stage => stage.name).join(", ")} depend on each other`;
+        done[i] = true;
+        order.push(registry[i]);
+    }
+    return order;
+}
+
+/* The names of the stage and all the stages that have to run again
+ * when it does or when its parameters change: the stages that read
+ * its parameters or its arrays, and the ones that read their arrays */
+export function dependentStages(name: string): Set<string> {
+    let after = dependencies(registry);
+    let names = new Set([name]);
+    for (let stage of registry) {
+        if (stage.paramInputs.includes(name)) { names.add(stage.name); }
+    }
+    for (let stage of orderStages()) {
+        let i = registry.indexOf(stage);
+        if ([...after[i]].some(j => names.has(registry[j].name))) { names.add(stage.name); }
+    }
+    return names;
+}
+
+/* Each stage gets only its own parameters and the ones it says it
+ * reads, so that a stage can't depend on parameters without
+ * dependentStages knowing */
+export function runStages(map: Map, param: any, context: StageContext, stages: Stage[] = orderStages()) {
+    for (let stage of stages) {
+        let stageParam = {[stage.name]: param[stage.name]};
+        for (let name of stage.paramInputs) { stageParam[name] = param[name]; }
+        stage.run(map, stageParam, context);
+    }
+}
+
+
+registerStage({
+    name: 'elevation',
+    param: [
+        ['seed', 187, 1, 1 << 30, 1],
+        ['island', 0.5, 0, 1],
+        ['noisy_coastlines', 0.01, 0, 0.1],
+        ['hill_height', 0.02, 0, 0.1],
+        ['mountain_jagged', 0, 0, 1],
+        ['mountain_sharpness', 9.8, 9.1, 12.5],
+        ['mountain_folds', 0.05, 0.0, 0.5],
+        ['ocean_depth', 1.40, 1, 3],
+    ],
+    paramInputs: [],
+    inputs: [],
+    outputs: ['elevation_t', 'elevation_r', 'mountain_distance_t'],
+    run(map, param, context) {
+        if (context.dirty) {
+            let t_changed = map.assignElevationInRect(param.elevation, context.constraints, context.dirty);
+            if (context.t_changed) {
+                for (let t of t_changed) { context.t_changed.add(t); }
+            }
+            context.path.push('partial elevation');
+        } else {
+            map.assignElevation(param.elevation, context.constraints);
+            context.t_changed = null;
+            context.path.push('full elevation');
+        }
+    },
+});
+
+/* The wind uses the climate's latitudes, and the rainfall uses the
+ * wind's direction */
+registerStage({
+    name: 'wind',
+    param: [
+        ['wind_angle_deg', 0, 0, 360],
+        ['wind_field', 0, 0, 2, 1], // 0 = wind_angle_deg, 1 = latitude bands, 2 = painted
+        ['wind_bending', 0.5, 0, 1],
+    ],
+    paramInputs: ['climate'],
+    inputs: ['elevation_r'],
+    outputs: ['wind_r'],
+    run(map, param, context) {
+        map.assignWind(param.wind, param.climate, context.constraints.wind ?? null);
+    },
+});
+
+registerStage({
+    name: 'rainfall',
+    param: [
+        ['raininess', 0.9, 0, 2],
+        ['rain_shadow', 0.5, 0.1, 2],
+        ['evaporation', 0.5, 0, 1],
+    ],
+    paramInputs: ['wind'],
+    inputs: ['elevation_r', 'wind_r'],
+    outputs: ['humidity_r', 'rainfall_r'],
+    run(map, param) {
+        map.assignRainfall(param.rainfall, param.wind);
+    },
+});
+
+registerStage({
+    name: 'erosion',
+    param: [
+        ['iterations', 0, 0, 20, 1],
+        ['erodibility', 0.1, 0, 1],
+        ['deposition', 0.3, 0, 1],
+        ['talus_angle', 35, 10, 90],
+    ],
+    paramInputs: [],
+    inputs: ['elevation_t', 'rainfall_r'],
+    outputs: ['elevation_t', 'elevation_r'],
+    run(map, param) {
+        map.assignErosion(param.erosion);
+    },
+});
+
+registerStage({
+    name: 'climate',
+    param: [
+        ['latitude_north', 50, -90, 90],
+        ['latitude_south', 30, -90, 90],
+        ['lapse_rate', 30, 0, 60],
+        ['coastal_moderation', 0.5, 0, 1],
+    ],
+    paramInputs: [],
+    inputs: ['elevation_t', 'elevation_r'],
+    outputs: ['temperature_t', 'temperature_r'],
+    run(map, param) {
+        map.assignTemperature(param.climate);
+    },
+});
+
+registerStage({
+    name: 'biomes',
+    param: [], // biomes.table can replace the biome table, see map.ts
+    paramInputs: [],
+    inputs: ['elevation_r', 'temperature_r', 'rainfall_r'],
+    outputs: ['biome_r'],
+    run(map, param) {
+        map.assignBiomes(param.biomes);
+    },
+});
+
+registerStage({
+    name: 'rivers',
+    param: [
+        ['lg_min_flow', 2.7, -5, 5],
+        ['lg_river_width', -2.4, -5, 5],
+        ['flow', 0.2, 0, 1],
+        ['lakes', 0, 0, 1],
+        ['lake_evaporation', 2, 0, 20],
+    ],
+    paramInputs: ['elevation'], // hill_height, for the lakes
+    inputs: ['elevation_t', 'rainfall_r'],
+    outputs: ['elevation_t', 's_downslope_t', 't_order', 'moisture_t', 'flow_t', 'flow_s', 'lake_t'],
+    run(map, param, context) {
+        if (context.t_changed && map.assignRiversInRect(param.rivers, Int32Array.from(context.t_changed))) {
+            context.partialRivers = true;
+            context.path.push('partial rivers');
+        } else {
+            map.assignRivers(param.rivers, param.elevation);
+            context.partialRivers = false;
+            context.path.push('full rivers');
+        }
+        context.t_changed = new Set();
+    },
+});
+
+registerStage({
+    name: 'settlements',
+    param: [
+        ['count', 12, 0, 40, 1],
+        ['min_distance', 100, 20, 400],
+        ['site_river', 1, 0, 2],
+        ['site_coast', 0.5, 0, 2],
+        ['site_rainfall', 0.5, 0, 2],
+        ['site_slope', 1, 0, 2],
+        ['road_slope', 50, 0, 200],
+        ['road_water', 10, 1, 50],
+        ['road_bridge', 5, 0, 50],
+    ],
+    paramInputs: ['rivers'],
+    inputs: ['elevation_r', 'rainfall_r', 'flow_s', 'lake_t'],
+    outputs: ['score_r', 'r_settlements', 'roads'],
+    run(map, param) {
+        map.assignSettlements(param.settlements, param.rivers);
+    },
+});
+
+registerStage({
+    name: 'territories',
+    param: [
+        ['nations', 6, 0, 30, 1],
+        ['border_mountain', 30, 0, 100],
+        ['border_river', 10, 0, 100],
+        ['border_water', 5, 1, 50],
+    ],
+    paramInputs: ['rivers'],
+    inputs: ['elevation_t', 'elevation_r', 'mountain_distance_t', 'flow_s', 'score_r', 'r_settlements'],
+    outputs: ['r_capitals', 'territory_r'],
+    run(map, param) {
+        map.assignTerritories(param.territories, param.rivers);
+    },
+});
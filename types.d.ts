@@ -4,6 +4,13 @@
 import {TriangleMesh} from "./dual-mesh/index.ts";
 
 export class Mesh extends TriangleMesh {
+    width: number; /* map bounds are 0 ≤ x ≤ width, 0 ≤ y ≤ height */
+    height: number;
+    wrap: boolean; /* true if the map wraps around east-west */
+    vertex_d: Int32Array; /* extra render vertices for the seam, see mesh.ts */
+    dx_d: Float32Array;
+    v_begin_s: Int32Array | null; /* indexed on solid s, only if wrap */
+    v_outer_s: Int32Array | null;
     is_boundary_t: Int8Array; /* indexed on t */
     length_s: Float32Array; /* indexed on s */
 }
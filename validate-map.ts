@@ -0,0 +1,140 @@
+/*
+ * From https://www.redblobgames.com/maps/mapgen4/
+ * Copyright 2018 Red Blob Games <redblobgames@gmail.com>
+ * License: Apache v2.0 <http://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Check the invariants that the rest of the code relies on after the
+ * map generator runs. This doesn't change the map, and it's too slow
+ * to run on every update, so it's for tests and debugging.
+ */
+
+import Map, {DEEP_OCEAN} from "./map.ts";
+import type {Mesh} from "./types.d.ts";
+
+/* Report only the first few of each kind of problem */
+const MAX_EXAMPLES = 5;
+
+/**
+ * Returns a list of problems, which is empty if the map is valid:
+ *
+ * 1. Elevations are in [-1, +1] and rainfall is not negative.
+ * 2. t_order has every triangle once, and a triangle comes after the
+ *    triangle it flows into. The deep ocean triangles are the
+ *    exception, because they're the roots of the priority flood.
+ * 3. Following s_downslope_t from a land triangle reaches the ocean
+ *    or a closed lake (see assignLakes).
+ * 4. assignFlow conserves water: the flow out of a triangle is the
+ *    flow into it plus its own rainfall (flow × moisture²), which is
+ *    zero in the ocean. With no riversParam, the rainfall is only
+ *    checked for not being negative.
+ */
+export function validateMap(map: Map, riversParam: any = null): string[] {
+    const mesh = map.mesh as Mesh;
+    const {numTriangles, numSides, _halfedges} = mesh;
+    const {elevation_t, elevation_r, rainfall_r, moisture_t, s_downslope_t, t_order, flow_t, flow_s, lake_t} = map;
+    let problems: string[] = [];
+    let counts: {[check: string]: number} = {};
+    function problem(check: string, message: string) {
+        counts[check] = (counts[check] ?? 0) + 1;
+        if (counts[check] <= MAX_EXAMPLES) problems.push(`${check}: ${message}`);
+    }
+
+    /* 1. Ranges; NaN fails these too */
+    for (let r = 0; r < elevation_r.length; r++) {
+        if (!(elevation_r[r] >= -1 && elevation_r[r] <= 1)) problem('elevation', `elevation_r[${r}] = ${elevation_r[r]}`);
+    }
+    for (let t = 0; t < numTriangles; t++) {
+        if (!(elevation_t[t] >= -1 && elevation_t[t] <= 1)) problem('elevation', `elevation_t[${t}] = ${elevation_t[t]}`);
+    }
+    for (let r = 0; r < rainfall_r.length; r++) {
+        if (!(rainfall_r[r] >= 0 && rainfall_r[r] < Infinity)) problem('rainfall', `rainfall_r[${r}] = ${rainfall_r[r]}`);
+    }
+
+    /* 2. Topological order */
+    let order_t = new Int32Array(numTriangles).fill(-1);
+    for (let i = 0; i < t_order.length; i++) {
+        let t = t_order[i];
+        if (!(t >= 0 && t < numTriangles)) problem('t_order', `t_order[${i}] = ${t}`);
+        else if (order_t[t] >= 0) problem('t_order', `triangle ${t} is at ${order_t[t]} and ${i}`);
+        else order_t[t] = i;
+    }
+    for (let t = 0; t < numTriangles; t++) {
+        let s = s_downslope_t[t];
+        if (order_t[t] < 0) {
+            problem('t_order', `triangle ${t} is missing`);
+        } else if (s >= 0 && (s / 3 | 0) !== t) {
+            problem('downslope', `s_downslope_t[${t}] = ${s} isn't a side of the triangle`);
+        } else if (s >= 0 && elevation_t[t] >= DEEP_OCEAN && !(order_t[mesh.t_outer_s(s)] < order_t[t])) {
+            problem('t_order', `triangle ${t} is at ${order_t[t]} but flows into ${mesh.t_outer_s(s)} at ${order_t[mesh.t_outer_s(s)]}`);
+        } else if (s < 0 && s !== -1) {
+            problem('downslope', `s_downslope_t[${t}] = ${s}`);
+        }
+    }
+
+    /* 3. Every land triangle drains somewhere. The result for each
+     * triangle on a path is saved, so that each path is followed
+     * only once: 1 = reaches the ocean or a closed lake, 2 = doesn't,
+     * 3 = on the current path, which means there's a cycle. */
+    let drains_t = new Uint8Array(numTriangles);
+    let path: number[] = [];
+    for (let t_start = 0; t_start < numTriangles; t_start++) {
+        if (drains_t[t_start] !== 0) continue;
+        let t = t_start, result = 0;
+        while (result === 0) {
+            let s = s_downslope_t[t];
+            if (drains_t[t] === 3) {
+                problem('downslope', `triangle ${t_start} flows in a cycle through ${t}`);
+                result = 2;
+            } else if (drains_t[t] !== 0) {
+                result = drains_t[t];
+            } else if (elevation_t[t] < 0.0) {
+                result = 1;
+            } else if (s < 0 || (s / 3 | 0) !== t) {
+                result = lake_t[t] >= 0 ? 1 : 2;
+                if (result === 2) problem('downslope', `triangle ${t_start} drains to ${t}, which is neither ocean nor a closed lake`);
+            } else {
+                drains_t[t] = 3;
+                path.push(t);
+                t = mesh.t_outer_s(s);
+            }
+        }
+        drains_t[t_start] = result;
+        for (let t of path) { drains_t[t] = result; }
+        path.length = 0;
+    }
+
+    /* 4. Flow conservation. The deep ocean triangles aren't checked,
+     * because they can flow into a deep ocean triangle that's later
+     * in t_order, after its flow has already been passed on. Float32
+     * sums aren't exact, so this allows a small relative error. */
+    let downslope_s = new Uint8Array(numSides);
+    for (let t = 0; t < numTriangles; t++) {
+        let s = s_downslope_t[t];
+        if (s >= 0 && s < numSides) downslope_s[s] = 1;
+    }
+    for (let s = 0; s < numSides; s++) {
+        if (!downslope_s[s] && flow_s[s] !== 0) problem('flow', `flow_s[${s}] = ${flow_s[s]} but no triangle flows that way`);
+    }
+    for (let t = 0; t < numTriangles; t++) {
+        if (elevation_t[t] < DEEP_OCEAN) continue;
+        let inflow = 0;
+        for (let j = 0; j < 3; j++) { inflow += flow_s[_halfedges[3*t + j]]; }
+        let tolerance = 1e-5 * (flow_t[t] + inflow) + 1e-6;
+        let local = flow_t[t] - inflow;
+        let expected = elevation_t[t] < 0.0 ? 0
+            : riversParam ? riversParam.flow * moisture_t[t] * moisture_t[t]
+            : Math.max(0, local);
+        if (!(Math.abs(local - expected) <= tolerance)) {
+            problem('flow', `flow_t[${t}] = ${flow_t[t]} but the inflow is ${inflow} and its own rainfall is ${expected}`);
+        }
+        let s = s_downslope_t[t];
+        if (s >= 0 && !(Math.abs(flow_s[s] - flow_t[t]) <= tolerance)) {
+            problem('flow', `flow_t[${t}] = ${flow_t[t]} but flow_s[${s}] = ${flow_s[s]}`);
+        }
+    }
+
+    for (let check of Object.keys(counts)) {
+        if (counts[check] > MAX_EXAMPLES) problems.push(`${check}: ${counts[check] - MAX_EXAMPLES} more`);
+    }
+    return problems;
+}
@@ -8,12 +8,20 @@
 
 import {TriangleMesh} from "./dual-mesh/index.ts";
 import Map      from "./map.ts";
-import Geometry from "./geometry.ts";
+import Geometry, {wrapDx} from "./geometry.ts";
+import {toGeoJSON} from "./export-geojson.ts";
+import {exportRaster} from "./raster.ts";
+import {exportMesh} from "./export-mesh.ts";
+import {findLabels, type Label} from "./labels.ts";
+import {orderStages, dependentStages, runStages, type StageContext} from "./stages.ts";
 import type {Mesh} from "./types.d.ts";
 
 // NOTE: Typescript workaround https://github.com/Microsoft/TypeScript/issues/20595
 const worker: Worker = self as any;
 
+/* Map units between the wind arrows on the overlay */
+const WIND_ARROW_SPACING = 50;
+
 // This handler is for the initial message
 let handler = (event) => {
     // NOTE: web worker messages only include the data; to
@@ -22,56 +30,188 @@ let handler = (event) => {
     const mesh = new TriangleMesh(event.data.mesh as TriangleMesh);
     const map = new Map(mesh as Mesh, event.data.t_peaks, event.data.param);
 
-    // TODO: placeholder - calculating elevation+biomes takes 35% of
-    // the time on my laptop, and seeing the elevation change is the
-    // most important thing to do every frame, so it might be worth
-    // splitting this work up into multiple frames where
-    // elevation+biomes happen every frame but rivers happen every N
-    // frames. To do this I could either put the logic on the caller
-    // side to decide on partial vs full update, or have the code here
-    // decide. The advantage of deciding here is that we have the
-    // timing information and can do full updates on faster machines
-    // and partial updates on slower machines. But the advantage of
-    // deciding in the caller is that it knows whether there's
-    // painting going on, and can sneak in river updates while the
-    // user has stopped painting.
-    const run = {biomes: true, rivers: true};
+    /* The caller decides whether to update the rivers, because it
+     * knows whether the user is painting, and the worker reports how
+     * long the elevation+biomes and the rivers took, so that the
+     * caller can update the rivers only when there's time. The stages
+     * that depend on the rivers, like the settlements, and the labels
+     * are skipped along with them. The context keeps track of the
+     * triangles whose elevation changed since the rivers ran. A job
+     * that only updates the rivers is the caller catching up after
+     * painting, so it updates them in full, to make them the same as
+     * they'd be without the painting history (see assignRiversInRect). */
+    const riverStageNames = dependentStages('rivers');
+    const biomeStages = orderStages().filter(stage => !riverStageNames.has(stage.name));
+    const riverStages = orderStages().filter(stage => riverStageNames.has(stage.name));
+    let context: StageContext = {constraints: null, dirty: null, t_changed: null, partialRivers: false, path: []};
+    let numRiverTriangles = 0;
+
+    /* The job that's in progress. Before updating the rivers, the
+     * worker lets any waiting messages in, so that the caller can
+     * cancel them when there's newer work to do. Exports and
+     * inspections that come in then wait for the job to finish, so
+     * that they don't see new elevation with old rivers. */
+    let job: {version: number; cancelled: boolean} | null = null;
+    let waitingForJob: MessageEvent[] = [];
+
+    /* When only the painted constraints changed, and only inside a
+     * rectangle, the worker can update part of the previous map. The
+     * erosion and lakes depend on the whole map, so they need full
+     * updates. */
+    let previousParamKey = "";
+    function canUpdatePartially(param, dirty): boolean {
+        let paramKey = JSON.stringify([param.spacing, ...orderStages().map(stage => param[stage.name])]);
+        let sameParam = paramKey === previousParamKey;
+        previousParamKey = paramKey;
+        return !!dirty && sameParam && !(Math.round(param.erosion.iterations) > 0) && !(param.rivers.lakes >= 0.5);
+    }
+
+    // The labels are found after the rivers, and kept until the next time
+    let labels: Label[] = [];
     
     // This handler is for all subsequent messages
     handler = (event) => {
-        let {param, constraints, quad_elements_buffer, a_quad_em_buffer, a_river_xyww_buffer} = event.data;
+        if (job && (event.data.type === 'export' || event.data.type === 'inspect')) {
+            waitingForJob.push(event);
+            return;
+        }
+        if (event.data.type === 'export') {
+            // Export the most recently generated map
+            let {format, param} = event.data;
+            if (format === 'geojson') {
+                let text = JSON.stringify(toGeoJSON(map, param.rivers));
+                worker.postMessage({type: 'export', format, text});
+            } else if (format === 'glb' || format === 'obj' || format === 'stl') {
+                let result = exportMesh(map, param, format, event.data.options);
+                if (typeof result === 'string') worker.postMessage({type: 'export', format, text: result});
+                else worker.postMessage({type: 'export', format, data: result}, [result.buffer]);
+            } else {
+                let {layer, size} = event.data;
+                let {width, height, data} = exportRaster(map, param, layer, size, format);
+                worker.postMessage({type: 'export', format, layer, width, height, data}, [data.buffer]);
+            }
+            return;
+        }
+        if (event.data.type === 'inspect') {
+            // Look up the most recently generated map at a region and
+            // triangle (see PointLocation)
+            let {r, t} = event.data;
+            let s = map.s_downslope_t[t];
+            let path_xyz = Geometry.getDownstreamGeometry(map, t);
+            worker.postMessage({
+                type: 'inspect',
+                r, t,
+                elevation_r: map.elevation_r[r],
+                elevation_t: map.elevation_t[t],
+                rainfall: map.rainfall_r[r],
+                humidity: map.humidity_r[r],
+                wind: [map.wind_r[2*r], map.wind_r[2*r + 1]],
+                moisture: map.moisture_t[t],
+                temperature: map.temperature_r[r],
+                flow: map.flow_t[t],
+                downslope: s >= 0 ? [wrapDx(mesh as Mesh, mesh.x_of_t(mesh.t_outer_s(s)) - mesh.x_of_t(t)),
+                                     mesh.y_of_t(mesh.t_outer_s(s)) - mesh.y_of_t(t)] : null,
+                biome: map.biome_r[r],
+                lake: map.lake_t[t],
+                territory: map.territory_r[r],
+                path_xyz,
+            }, [path_xyz.buffer]);
+            return;
+        }
+
+        if (event.data.type === 'cancel') {
+            if (job && job.version === event.data.version) { job.cancelled = true; }
+            return;
+        }
+
+        let {version, run, cancellable, param, constraints, dirty, quad_elements_buffer, a_quad_em_buffer, a_quad_biome_buffer, a_quad_temperature_buffer, a_quad_territory_buffer, a_river_xyww_buffer} = event.data;
+        let thisJob = job = {version, cancelled: false};
+        context.constraints = constraints;
+        context.dirty = run.biomes && canUpdatePartially(param, dirty) ? dirty : null;
+        if (!run.biomes) { context.t_changed = null; }
+        context.path = [];
 
-        let numRiverTriangles = 0;
         let start_time = performance.now();
-        
         if (run.biomes) {
-            map.assignElevation(param.elevation, constraints);
-            map.assignRainfall(param.biomes);
+            runStages(map, param, context, biomeStages);
+            Geometry.setBiomeGeometry(map, new Float32Array(a_quad_biome_buffer));
+            Geometry.setTemperatureGeometry(map, new Float32Array(a_quad_temperature_buffer));
         }
-        if (run.rivers) {
-            map.assignRivers(param.rivers);
+        let elapsed_biomes = performance.now() - start_time;
+
+        function updateRivers() {
+            runStages(map, param, context, riverStages);
+            labels = findLabels(map, param);
+            numRiverTriangles = Geometry.setRiverGeometry(map, param.spacing, param.rivers, new Float32Array(a_river_xyww_buffer));
+            Geometry.setTerritoryGeometry(map, new Float32Array(a_quad_territory_buffer));
         }
-        if (run.biomes || run.rivers) {
+
+        function finish() {
+            let rivers = false, elapsed_rivers = 0;
+            if (run.rivers && !(cancellable && thisJob.cancelled)) {
+                let rivers_start_time = performance.now();
+                updateRivers();
+                rivers = true;
+                elapsed_rivers = performance.now() - rivers_start_time;
+            } else {
+                context.path.push(run.rivers ? 'rivers cancelled' : 'no rivers');
+            }
+            // The quadrilateral folds depend on the rivers too
+            let geometry_start_time = performance.now();
             Geometry.setMapGeometry(map, param.elevation.mountain_folds, new Int32Array(quad_elements_buffer), new Float32Array(a_quad_em_buffer));
+            if (run.biomes) { elapsed_biomes += performance.now() - geometry_start_time; }
+            job = null;
+
+            let biome_r = map.biome_r.slice();
+            let {settlement_xyz, road_xyz} = Geometry.getSettlementGeometry(map);
+            let border_xyz = Geometry.getBorderGeometry(map);
+            let wind_xyzuv = Geometry.getWindGeometry(map, WIND_ARROW_SPACING);
+
+            worker.postMessage(
+                {type: 'map',
+                 version,
+                 elapsed: (run.biomes ? elapsed_biomes : 0) + elapsed_rivers,
+                 elapsed_biomes: run.biomes ? elapsed_biomes : null,
+                 elapsed_rivers: rivers ? elapsed_rivers : null,
+                 path: context.path.join(", "),
+                 rivers,
+                 partialRivers: rivers && context.partialRivers,
+                 numRiverTriangles,
+                 biome_r,
+                 settlement_xyz,
+                 road_xyz,
+                 border_xyz,
+                 wind_xyzuv,
+                 labels,
+                 quad_elements_buffer,
+                 a_quad_em_buffer,
+                 a_quad_biome_buffer,
+                 a_quad_temperature_buffer,
+                 a_quad_territory_buffer,
+                 a_river_xyww_buffer,
+                },
+                [
+                    biome_r.buffer,
+                    settlement_xyz.buffer,
+                    ...road_xyz.map(road => road.buffer),
+                    border_xyz.buffer,
+                    wind_xyzuv.buffer,
+                    quad_elements_buffer,
+                    a_quad_em_buffer,
+                    a_quad_biome_buffer,
+                    a_quad_temperature_buffer,
+                    a_quad_territory_buffer,
+                    a_river_xyww_buffer,
+                ]
+            );
+            for (let waiting of waitingForJob.splice(0)) { handler(waiting); }
         }
-        if (run.rivers) {
-            numRiverTriangles = Geometry.setRiverGeometry(map, param.spacing, param.rivers, new Float32Array(a_river_xyww_buffer));
+
+        if (run.rivers && cancellable) {
+            setTimeout(finish, 0);
+        } else {
+            finish();
         }
-        let elapsed = performance.now() - start_time;
-
-        worker.postMessage(
-            {elapsed,
-             numRiverTriangles,
-             quad_elements_buffer,
-             a_quad_em_buffer,
-             a_river_xyww_buffer,
-            },
-            [
-                quad_elements_buffer,
-                a_quad_em_buffer,
-                a_river_xyww_buffer,
-            ]
-        );
     };
 };
 